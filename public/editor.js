@@ -6,6 +6,21 @@
   const width = Number(params.get("width") || 0);
   const height = Number(params.get("height") || 0);
   const seed = Number(params.get("seed") || 0);
+  const pieceStyle = normalizePieceStyle({
+    style: params.get("style"),
+    tabSize: params.get("tab"),
+    jitter: params.get("jitter")
+  });
+  const rerolledEdges = (params.get("fix") || "")
+    .split(",")
+    .map((item) => item.split("."))
+    .filter((parts) => parts.length === 4 && (parts[0] === "h" || parts[0] === "v"))
+    .map(([orientation, i, j, attempt]) => ({
+      orientation: orientation === "h" ? 0 : 1,
+      i: Number(i),
+      j: Number(j),
+      attempt: Number(attempt)
+    }));
 
   const tg = window.Telegram && window.Telegram.WebApp ? window.Telegram.WebApp : null;
   if (tg) {
@@ -20,10 +35,13 @@
   const rotationInput = document.getElementById("rotation");
   const rotationValue = document.getElementById("rotationValue");
   const fontFamilyInput = document.getElementById("fontFamily");
+  const backThemeInput = document.getElementById("backTheme");
   const newBtn = document.getElementById("newBtn");
   const autoBtn = document.getElementById("autoBtn");
   const removeBtn = document.getElementById("removeBtn");
   const sendBtn = document.getElementById("sendBtn");
+  const sendStatus = document.getElementById("sendStatus");
+  const truePreviewInput = document.getElementById("truePreview");
 
   const defaultFontSize = Number(fontSizeInput.value || 18);
 
@@ -44,22 +62,42 @@
 
   const scale = width > 0 ? width / displayWidth : 1;
 
+  // Print format bounds come in image pixels; the slider works in screen pixels.
+  const minFont = Number(params.get("minFont") || 0);
+  const maxFont = Number(params.get("maxFont") || 0);
+  if (minFont > 0 && maxFont >= minFont) {
+    fontSizeInput.min = String(Math.ceil(minFont / scale));
+    fontSizeInput.max = String(Math.max(Number(fontSizeInput.min), Math.floor(maxFont / scale)));
+    updateFontSizeValue();
+  }
+
   const stage = new Konva.Stage({
     container: stageWrap,
     width: displayWidth,
     height: displayHeight
   });
   const gridLayer = new Konva.Layer();
+  // The server render sits over the grid and under the text nodes, which stay draggable but turn invisible.
+  const previewLayer = new Konva.Layer({ listening: false });
   const textLayer = new Konva.Layer();
   stage.add(gridLayer);
+  stage.add(previewLayer);
   stage.add(textLayer);
 
-  const background = new Konva.Rect({
+  const previewImage = new Konva.Image({
+    x: 0,
+    y: 0,
+    width: displayWidth,
+    height: displayHeight,
+    visible: false
+  });
+  previewLayer.add(previewImage);
+
+  const background = new Konva.Image({
     x: 0,
     y: 0,
     width: displayWidth,
     height: displayHeight,
-    fill: "#ffffff",
     listening: false
   });
   gridLayer.add(background);
@@ -77,21 +115,48 @@
   });
   textLayer.add(transformer);
 
-  function sanitizeText(raw) {
+  function sanitizeLine(raw) {
     let text = String(raw || "");
+    // Same filter as sanitizeFact on the server: emoji and symbols stay, control characters go.
     try {
-      text = text.replace(/\p{Extended_Pictographic}/gu, "");
-    } catch (err) {
-      text = text.replace(/[\u{1F300}-\u{1FAFF}]/gu, "");
-    }
-    try {
-      text = text.replace(/[^\p{L}\p{N}\s.,;:!?'"()\-]/gu, "");
+      text = text.replace(/[^\p{L}\p{N}\p{P}\p{S}\p{M}\s\u200d\u{E0020}-\u{E007F}]/gu, "");
     } catch (err) {
-      text = text.replace(/[^\w\s.,;:!?'"()\-]/g, "");
+      text = text.replace(/[\u0000-\u001f\u007f]/g, "");
     }
     return text.replace(/\s+/g, " ").trim();
   }
 
+  // Line breaks are kept: facts from the chat arrive wrapped the way the bot fitted them.
+  function sanitizeText(raw) {
+    return String(raw || "")
+      .split(/\n+/)
+      .map(sanitizeLine)
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  // Themes and fonts arrive with the puzzle from the bot (see applyAppearance): each theme brings the
+  // background SVG and the text and line colours the bot renders it with. Until then, or if the
+  // puzzle does not load, the editor keeps the white back and the default font from editor.html.
+  const themes = {};
+  let backTheme = backThemeInput.value;
+  const fonts = {};
+  let defaultFontId = fontFamilyInput.value;
+  let scriptFonts = [];
+
+  const RTL_PATTERN = /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufeff]/u;
+
+  function fontFamilyOf(fontId) {
+    const fallbacks = scriptFonts.map((font, index) => `PuzzleScript-${index}, `).join("");
+    return `PuzzleFont-${fontId}, ${fallbacks}sans-serif`;
+  }
+
+  // Like the server, the paragraph direction follows the first letter.
+  function textDirection(text) {
+    const letter = String(text).match(/\p{L}/u);
+    return letter && RTL_PATTERN.test(letter[0]) ? "rtl" : "inherit";
+  }
+
   function createRng(seedValue) {
     let state = seedValue >>> 0;
     return function rand() {
@@ -106,36 +171,86 @@
     return rng() * (max - min) + min;
   }
 
-  function edgeDistributions(rng) {
+  // Same piece styles as the server (see buildPuzzleData in src/puzzleBot.js),
+  // so the preview follows the seed exactly.
+  function normalizePieceStyle(raw) {
+    const styles = ["classic", "straight", "wave", "irregular"];
+    const style = styles.includes(raw.style) ? raw.style : "classic";
+    const tabSize = raw.tabSize === null || raw.tabSize === undefined ? 1 : Number(raw.tabSize);
+    const jitter = raw.jitter === null || raw.jitter === undefined ? 1 : Number(raw.jitter);
+    return {
+      style,
+      tabSize: Number.isFinite(tabSize) ? Math.min(1.4, Math.max(0.6, tabSize)) : 1,
+      jitter: Number.isFinite(jitter) ? Math.min(1.5, Math.max(0, jitter)) : 1
+    };
+  }
+
+  function jitterBetween(rng, min, max, jitter) {
+    const mid = (min + max) / 2;
+    const half = ((max - min) / 2) * jitter;
+    return randomBetween(rng, mid - half, mid + half);
+  }
+
+  function classicDistributions(rng, options) {
     const baselineOffsets = { xMin: 51, xMax: 62, yMin: -15, yMax: 5 };
     const upperOffsets = { xMin: 20, xMax: 30, yMin: 20, yMax: 44 };
+    const { jitter, tabSize } = options;
 
     const p1 = [0, 0];
-    const p2 = [randomBetween(rng, baselineOffsets.xMin, baselineOffsets.xMax), randomBetween(rng, baselineOffsets.yMin, baselineOffsets.yMax)];
-    const p3 = [randomBetween(rng, upperOffsets.xMin, upperOffsets.xMax), randomBetween(rng, upperOffsets.yMin, upperOffsets.yMax)];
+    const p2 = [
+      jitterBetween(rng, baselineOffsets.xMin, baselineOffsets.xMax, jitter),
+      jitterBetween(rng, baselineOffsets.yMin, baselineOffsets.yMax, jitter)
+    ];
+    const p3 = [
+      jitterBetween(rng, upperOffsets.xMin, upperOffsets.xMax, jitter),
+      jitterBetween(rng, upperOffsets.yMin, upperOffsets.yMax, jitter)
+    ];
     const p4 = [
-      randomBetween(rng, 100 - upperOffsets.xMax, 100 - upperOffsets.xMin),
-      randomBetween(rng, upperOffsets.yMin, upperOffsets.yMax)
+      jitterBetween(rng, 100 - upperOffsets.xMax, 100 - upperOffsets.xMin, jitter),
+      jitterBetween(rng, upperOffsets.yMin, upperOffsets.yMax, jitter)
     ];
     const p5 = [
-      randomBetween(rng, 100 - baselineOffsets.xMax, 100 - baselineOffsets.xMin),
-      randomBetween(rng, baselineOffsets.yMin, baselineOffsets.yMax)
+      jitterBetween(rng, 100 - baselineOffsets.xMax, 100 - baselineOffsets.xMin, jitter),
+      jitterBetween(rng, baselineOffsets.yMin, baselineOffsets.yMax, jitter)
     ];
     const p6 = [100, 0];
 
     const sign = rng() < 0.5 ? -1 : 1;
-    const normalized = [p1, p2, p3, p4, p5, p6].map((point) => [point[0] / 100, point[1] / 100]);
+    const scaled = [p2, p3, p4, p5].map((point) => [50 + (point[0] - 50) * tabSize, point[1] * tabSize]);
+    const normalized = [p1, ...scaled, p6].map((point) => [point[0] / 100, point[1] / 100]);
     const points = normalized.map((point) => [point[0], point[1] * sign]);
     return { points };
   }
 
-  function buildDistributions(rowCount, columnCount, rng) {
+  function waveDistributions(rng, options) {
+    const amp = jitterBetween(rng, 0.06, 0.1, options.jitter) * options.tabSize;
+    const shift = jitterBetween(rng, -0.05, 0.05, options.jitter);
+    const sign = rng() < 0.5 ? -1 : 1;
+    return {
+      points: [[0, 0], [0.15, 0], [0.35 + shift, amp * sign], [0.65 + shift, -amp * sign], [0.85, 0], [1, 0]]
+    };
+  }
+
+  function bulgeDistributions(rng, options) {
+    const amp = jitterBetween(rng, 0.04, 0.1, options.jitter) * options.tabSize;
+    const sign = rng() < 0.5 ? -1 : 1;
+    return { points: [[0, 0], [0.25, amp * sign], [0.75, amp * sign], [1, 0]] };
+  }
+
+  function edgeDistributions(rng, options) {
+    if (options.style === "straight") return { points: [[0, 0], [1, 0]] };
+    if (options.style === "wave") return waveDistributions(rng, options);
+    if (options.style === "irregular") return bulgeDistributions(rng, options);
+    return classicDistributions(rng, options);
+  }
+
+  function buildDistributions(rowCount, columnCount, rng, options) {
     const lineGroups = [];
     lineGroups.push(new Array(columnCount).fill({ points: [[0, 0], [1, 0]] }));
     for (let i = 1; i < rowCount; i += 1) {
       const lines = [];
       for (let j = 0; j < columnCount; j += 1) {
-        lines.push(edgeDistributions(rng));
+        lines.push(edgeDistributions(rng, options));
       }
       lineGroups.push(lines);
     }
@@ -143,16 +258,36 @@
     return lineGroups;
   }
 
-  function transposePoint(point) {
-    return [point[1], point[0]];
+  function deriveSeed(seedValue, ...parts) {
+    let hash = seedValue >>> 0;
+    for (const part of parts) {
+      hash = Math.imul(hash ^ (part + 0x9e3779b9), 0x85ebca6b) >>> 0;
+      hash ^= hash >>> 13;
+    }
+    return hash >>> 0;
   }
 
-  function offsetPoint(point, offsetX, offsetY, columnWidth, rowHeight) {
-    return [(point[0] + offsetX) * columnWidth, (point[1] + offsetY) * rowHeight];
+  function buildCorners(w, h, r, c, rng, options) {
+    const columnWidth = w / c;
+    const rowHeight = h / r;
+    const shift = options.style === "irregular" ? 0.15 * options.jitter : 0;
+    return Array.from({ length: r + 1 }, (_, row) =>
+      Array.from({ length: c + 1 }, (__, col) => {
+        if (!shift) return [col * columnWidth, row * rowHeight];
+        const dx = col > 0 && col < c ? randomBetween(rng, -shift, shift) * columnWidth : 0;
+        const dy = row > 0 && row < r ? randomBetween(rng, -shift, shift) * rowHeight : 0;
+        return [col * columnWidth + dx, row * rowHeight + dy];
+      })
+    );
   }
 
-  function offsetPoints(lineGroups, offsetFn) {
-    return lineGroups.map((lines, i) => lines.map((line, j) => line.points.map((point) => offsetFn(point, i, j))));
+  function mapEdgePoints(points, start, end, normalScale, vertical) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const length = Math.hypot(dx, dy) || 1;
+    const nx = (vertical ? dy : -dy) / length;
+    const ny = (vertical ? -dx : dx) / length;
+    return points.map(([t, d]) => [start[0] + dx * t + nx * d * normalScale, start[1] + dy * t + ny * d * normalScale]);
   }
 
   function lineToPath(points) {
@@ -164,30 +299,70 @@
     return path || "";
   }
 
-  function buildPuzzlePaths(w, h, r, c, seedValue) {
+  function buildPuzzlePaths(w, h, r, c, seedValue, options) {
     const rng = createRng(Number.isFinite(seedValue) ? seedValue : Math.floor(Math.random() * 1e9));
     const rowHeight = h / r;
     const columnWidth = w / c;
 
-    const rowsLines = buildDistributions(r, c, rng);
-    const columnsLines = buildDistributions(c, r, rng);
+    const rowsLines = buildDistributions(r, c, rng, options);
+    const columnsLines = buildDistributions(c, r, rng, options);
+    const corners = buildCorners(w, h, r, c, rng, options);
+    const groups = [rowsLines, columnsLines];
+    rerolledEdges.forEach((edge) => {
+      const lines = groups[edge.orientation][edge.i];
+      if (!lines || !lines[edge.j]) return;
+      lines[edge.j] = edgeDistributions(createRng(deriveSeed(seedValue, edge.orientation, edge.i, edge.j, edge.attempt)), options);
+    });
 
-    const rowsOffset = offsetPoints(rowsLines, (point, i, j) => offsetPoint(point, j, i, columnWidth, rowHeight));
-    const columnsOffset = offsetPoints(columnsLines, (point, i, j) =>
-      offsetPoint(transposePoint(point), i, j, columnWidth, rowHeight)
+    const rowsOffset = rowsLines.map((lines, i) =>
+      lines.map((line, j) => mapEdgePoints(line.points, corners[i][j], corners[i][j + 1], rowHeight, false))
+    );
+    const columnsOffset = columnsLines.map((lines, i) =>
+      lines.map((line, j) => mapEdgePoints(line.points, corners[j][i], corners[j + 1][i], columnWidth, true))
     );
 
     const allLines = [...rowsOffset.flat(), ...columnsOffset.flat()];
     return allLines.map(lineToPath).filter(Boolean);
   }
 
+  function themeColors() {
+    const theme = themes[backTheme];
+    return theme ? { text: theme.textColor, line: theme.lineColor } : { text: "#111111", line: "#666666" };
+  }
+
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = reject;
+      image.src = src;
+    });
+  }
+
+  function drawBackground() {
+    const svgWidth = width || displayWidth;
+    const svgHeight = height || displayHeight;
+    const theme = themes[backTheme];
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">
+  ${theme ? theme.background : `<rect width="${svgWidth}" height="${svgHeight}" fill="#ffffff" />`}
+</svg>`;
+    return loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`).then((image) => {
+      background.image(image);
+      const colors = themeColors();
+      gridGroup.getChildren().forEach((shape) => shape.stroke(colors.line));
+      textItems.forEach((item) => item.node.fill(colors.text));
+      gridLayer.draw();
+      textLayer.draw();
+    });
+  }
+
   function drawPuzzle() {
     if (!rows || !cols) return;
-    const paths = buildPuzzlePaths(displayWidth, displayHeight, rows, cols, seed || 1);
+    const paths = buildPuzzlePaths(displayWidth, displayHeight, rows, cols, seed || 1, pieceStyle);
     paths.forEach((path) => {
       const shape = new Konva.Path({
         data: path,
-        stroke: "#666",
+        stroke: themeColors().line,
         strokeWidth: 1.2,
         lineJoin: "round",
         lineCap: "round",
@@ -195,8 +370,16 @@
       });
       gridGroup.add(shape);
     });
-    gridGroup.scaleX(-1);
-    gridGroup.x(displayWidth);
+    applyMirror(backMirror);
+  }
+
+  // The bot mirrors the back unless a layout says otherwise; the grid is flipped to match.
+  let backMirror = true;
+
+  function applyMirror(mirror) {
+    backMirror = mirror;
+    gridGroup.scaleX(mirror ? -1 : 1);
+    gridGroup.x(mirror ? displayWidth : 0);
     gridLayer.draw();
   }
 
@@ -226,7 +409,7 @@
     if (!item) {
       textInput.value = "";
       fontSizeInput.value = defaultFontSize;
-      fontFamilyInput.value = fontFamilyInput.value || "'Noto Sans', Arial, sans-serif";
+      fontFamilyInput.value = fontFamilyInput.value || defaultFontId;
       rotationInput.value = 0;
       updateFontSizeValue();
       updateRotationValue();
@@ -234,25 +417,31 @@
     }
     textInput.value = item.text;
     fontSizeInput.value = item.fontSize;
-    fontFamilyInput.value = item.fontFamily;
+    fontFamilyInput.value = item.fontId;
     rotationInput.value = item.rotation || 0;
     updateFontSizeValue();
     updateRotationValue();
   }
 
-  function createTextItem(initialText = "") {
-    const center = stageCenter();
-    const fontSize = Number(fontSizeInput.value || defaultFontSize);
-    const fontFamily = fontFamilyInput.value;
-    const rotation = Number(rotationInput.value || 0);
+  // A placement from the bot is in image pixels; without one the item starts in the centre with the current controls.
+  function createTextItem(initialText = "", placement = null) {
+    const center = placement ? { x: placement.x / scale, y: placement.y / scale } : stageCenter();
+    const fontSize = placement
+      ? Math.round((placement.fontSize / scale) * 10) / 10
+      : Number(fontSizeInput.value || defaultFontSize);
+    const fontId = placement && fonts[placement.fontId] ? placement.fontId : fontFamilyInput.value;
+    const rotation = placement ? Number(placement.rotation || 0) : Number(rotationInput.value || 0);
     const node = new Konva.Text({
       x: center.x,
       y: center.y,
       text: initialText,
       fontSize,
-      fontFamily,
+      fontFamily: fontFamilyOf(fontId),
+      lineHeight: placement && placement.lineHeight ? placement.lineHeight / placement.fontSize : 1,
+      direction: textDirection(initialText),
       rotation,
-      fill: "#111",
+      fill: themeColors().text,
+      opacity: truePreviewInput.checked ? 0 : 1,
       align: "center",
       verticalAlign: "middle",
       draggable: true
@@ -264,6 +453,7 @@
       node.offsetY(node.height() / 2);
       textLayer.draw();
     });
+    node.on("dragend", schedulePreview);
     node.on("click", () => {
       const item = textItems.get(node.getAttr("data-id"));
       if (item) setActive(item);
@@ -273,7 +463,7 @@
     itemCounter += 1;
     const id = String(itemCounter);
     node.setAttr("data-id", id);
-    const item = { id, node, text: initialText, fontSize, fontFamily, rotation };
+    const item = { id, node, text: initialText, fontSize, fontId, rotation };
     textItems.set(id, item);
     setActive(item);
     return item;
@@ -295,25 +485,29 @@
     const item = ensureActiveItem();
     item.text = cleaned;
     item.node.text(cleaned);
+    item.node.direction(textDirection(cleaned));
+    loadScriptFonts(cleaned);
     item.node.fontSize(Number(fontSizeInput.value || defaultFontSize));
-    item.node.fontFamily(fontFamilyInput.value);
+    item.node.fontFamily(fontFamilyOf(item.fontId));
     item.node.offsetX(item.node.width() / 2);
     item.node.offsetY(item.node.height() / 2);
     textLayer.draw();
+    schedulePreview();
   }
 
   function updateActiveStyle() {
     if (!activeId || !textItems.has(activeId)) return;
     const item = textItems.get(activeId);
     item.fontSize = Number(fontSizeInput.value || defaultFontSize);
-    item.fontFamily = fontFamilyInput.value;
+    item.fontId = fontFamilyInput.value;
     item.rotation = Number(rotationInput.value || 0);
     item.node.fontSize(item.fontSize);
-    item.node.fontFamily(item.fontFamily);
+    item.node.fontFamily(fontFamilyOf(item.fontId));
     item.node.rotation(item.rotation);
     item.node.offsetX(item.node.width() / 2);
     item.node.offsetY(item.node.height() / 2);
     textLayer.draw();
+    schedulePreview();
   }
 
   function autoPlace() {
@@ -324,6 +518,7 @@
     item.node.offsetX(item.node.width() / 2);
     item.node.offsetY(item.node.height() / 2);
     textLayer.draw();
+    schedulePreview();
   }
 
   function removeActiveText() {
@@ -335,9 +530,48 @@
     transformer.nodes([]);
     updateControlsFromItem(null);
     textLayer.draw();
+    schedulePreview();
   }
 
-  function sendData() {
+  const SUBMIT_ERRORS = {
+    400: "Добавь хотя бы один текст и нажми «Готово» ещё раз.",
+    401: "Не получилось проверить, что редактор открыт из Telegram. Закрой его и открой заново из чата.",
+    403: "Это не твой пазл.",
+    404: "Пазл не найден: он уже готов или сброшен. Открой редактор заново из чата.",
+    409: "Задняя сторона уже собирается, подожди немного.",
+    413: "Раскладка слишком большая для отправки."
+  };
+
+  function showStatus(message, isError = false) {
+    sendStatus.textContent = message;
+    sendStatus.classList.toggle("error", isError);
+    sendStatus.hidden = !message;
+  }
+
+  function submitLayout(payload) {
+    sendBtn.disabled = true;
+    showStatus("Собираю заднюю сторону...");
+    fetch(`/api/puzzles/${encodeURIComponent(pid)}/layout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...payload, initData: tg.initData })
+    })
+      .then((res) => {
+        if (res.ok) {
+          showStatus("Готово! Задняя сторона в чате.");
+          tg.close();
+          return;
+        }
+        showStatus(SUBMIT_ERRORS[res.status] || "Не получилось собрать заднюю сторону. Попробуй ещё раз.", true);
+        sendBtn.disabled = false;
+      })
+      .catch(() => {
+        showStatus("Нет связи с ботом. Проверь интернет и попробуй ещё раз.", true);
+        sendBtn.disabled = false;
+      });
+  }
+
+  function collectLayout() {
     const items = [];
     textItems.forEach((item) => {
       const cleanText = sanitizeText(item.text || "");
@@ -351,11 +585,11 @@
         x: node.x(),
         y: node.y(),
         rotation: item.rotation || 0,
-        fontFamily: item.fontFamily
+        fontId: item.fontId
       });
     });
 
-    const payload = {
+    return {
       pid,
       rows,
       cols,
@@ -363,11 +597,20 @@
       height,
       seed,
       scale,
-      mirror: true,
+      mirror: backMirror,
+      theme: backTheme,
       items
     };
+  }
+
+  function sendData() {
+    const payload = collectLayout();
 
-    if (tg) {
+    // Opened from the inline button the app has initData and submits over HTTP; sendData only works
+    // for a reply keyboard and is capped at 4 KB.
+    if (tg && tg.initData) {
+      submitLayout(payload);
+    } else if (tg) {
       tg.sendData(JSON.stringify(payload));
       tg.close();
     } else {
@@ -376,6 +619,74 @@
     }
   }
 
+  const PREVIEW_DELAY_MS = 600;
+  let previewTimer = null;
+  let previewRequest = null;
+
+  function schedulePreview() {
+    if (!truePreviewInput.checked) return;
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(requestPreview, PREVIEW_DELAY_MS);
+  }
+
+  // Only the latest layout matters, so a request still on its way is dropped.
+  function requestPreview() {
+    if (previewRequest) previewRequest.abort();
+    const request = new AbortController();
+    previewRequest = request;
+    const previewWidth = Math.round(displayWidth * (window.devicePixelRatio || 1));
+    fetch(`/api/puzzles/${encodeURIComponent(pid)}/preview`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...collectLayout(), previewWidth, initData: tg ? tg.initData : "" }),
+      signal: request.signal
+    })
+      .then((res) => {
+        // The bot renders one preview at a time; retry once the current one is done.
+        if (res.status === 429) {
+          if (previewRequest === request) schedulePreview();
+          return null;
+        }
+        if (!res.ok) {
+          throw new Error(SUBMIT_ERRORS[res.status] || "Не получилось собрать точный вид. Попробуй ещё раз.");
+        }
+        return res.blob();
+      })
+      .then((blob) => {
+        if (!blob) return null;
+        const url = URL.createObjectURL(blob);
+        return loadImage(url).finally(() => URL.revokeObjectURL(url));
+      })
+      .then((image) => {
+        if (!image || previewRequest !== request || !truePreviewInput.checked) return;
+        previewImage.image(image);
+        previewImage.visible(true);
+        previewLayer.draw();
+        showStatus("");
+      })
+      .catch((err) => {
+        if (err.name === "AbortError" || previewRequest !== request) return;
+        showStatus(err instanceof TypeError ? "Нет связи с ботом. Проверь интернет и попробуй ещё раз." : err.message, true);
+      });
+  }
+
+  function setTruePreview() {
+    const enabled = truePreviewInput.checked;
+    textItems.forEach((item) => item.node.opacity(enabled ? 0 : 1));
+    textLayer.draw();
+    if (enabled) {
+      requestPreview();
+      return;
+    }
+    clearTimeout(previewTimer);
+    if (previewRequest) previewRequest.abort();
+    previewRequest = null;
+    previewImage.visible(false);
+    previewLayer.draw();
+    showStatus("");
+  }
+
+  truePreviewInput.addEventListener("change", setTruePreview);
   textInput.addEventListener("input", updateActiveText);
   fontSizeInput.addEventListener("input", () => {
     updateFontSizeValue();
@@ -386,6 +697,11 @@
     updateActiveStyle();
   });
   fontFamilyInput.addEventListener("change", updateActiveStyle);
+  backThemeInput.addEventListener("change", () => {
+    backTheme = backThemeInput.value;
+    drawBackground();
+    schedulePreview();
+  });
   newBtn.addEventListener("click", () => {
     createTextItem("");
     textInput.value = "";
@@ -396,6 +712,106 @@
   removeBtn.addEventListener("click", removeActiveText);
   sendBtn.addEventListener("click", sendData);
 
+  // Konva measures text only when an attribute changes, so the family is toggled to re-measure once a font arrives.
+  function refreshTextNodes() {
+    textItems.forEach((item) => {
+      item.node.fontFamily("sans-serif");
+      item.node.fontFamily(fontFamilyOf(item.fontId));
+      item.node.offsetX(item.node.width() / 2);
+      item.node.offsetY(item.node.height() / 2);
+    });
+    textLayer.draw();
+  }
+
+  function loadFontFace(family, file) {
+    const face = new FontFace(family, `url(fonts/${file})`);
+    document.fonts.add(face);
+    face
+      .load()
+      .then(refreshTextNodes)
+      .catch(() => showStatus(`Шрифт ${file} не загрузился, текст показан запасным шрифтом.`, true));
+  }
+
+  function loadFonts() {
+    if (!window.FontFace || !document.fonts) return;
+    Object.entries(fonts).forEach(([key, font]) => loadFontFace(`PuzzleFont-${key}`, font.file));
+  }
+
+  // The canvas does not fetch fonts by itself, so a script fallback is loaded once its script shows up in a text.
+  function loadScriptFonts(text) {
+    if (!window.FontFace || !document.fonts) return;
+    scriptFonts.forEach((font, index) => {
+      if (font.requested || !font.pattern.test(text)) return;
+      font.requested = true;
+      loadFontFace(`PuzzleScript-${index}`, font.file);
+    });
+  }
+
+  function fillSelect(select, options, value) {
+    if (options.length === 0) return;
+    select.replaceChildren();
+    options.forEach(([key, label]) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = value;
+  }
+
+  function applyAppearance(data) {
+    (data.themes || []).forEach((theme) => {
+      themes[theme.key] = theme;
+    });
+    (data.fonts || []).forEach((font) => {
+      fonts[font.id] = font;
+    });
+    scriptFonts = (data.scriptFonts || []).map((font) => ({ file: font.file, pattern: new RegExp(font.pattern, "u") }));
+    backTheme = themes[data.theme] ? data.theme : backTheme;
+    defaultFontId = fonts[data.fontId] ? data.fontId : defaultFontId;
+    fillSelect(backThemeInput, Object.values(themes).map((theme) => [theme.key, theme.label]), backTheme);
+    fillSelect(fontFamilyInput, Object.values(fonts).map((font) => [font.id, font.label]), defaultFontId);
+    loadFonts();
+    drawBackground();
+  }
+
+  // Without the puzzle the editor still works, just with an empty canvas and the default look.
+  const LOAD_ERRORS = {
+    401: "Редактор открыт без подписи Telegram: факты из чата и фоны не подгрузились. Текст можно расставить вручную.",
+    403: SUBMIT_ERRORS[403],
+    404: SUBMIT_ERRORS[404]
+  };
+
+  // Facts already sent in the chat, laid out by the bot as on its own back render.
+  function loadPuzzle() {
+    if (!pid) return;
+    fetch(`/api/puzzles/${encodeURIComponent(pid)}`, { headers: { "X-Telegram-Init-Data": tg ? tg.initData : "" } })
+      .then((res) => {
+        if (!res.ok) {
+          throw new Error(LOAD_ERRORS[res.status] || "Не получилось загрузить пазл: факты из чата и фоны не подгрузились.");
+        }
+        return res.json();
+      })
+      .then((data) => {
+        applyAppearance(data);
+        if (data.mirror === false) applyMirror(false);
+        // Text added while the request was on its way wins over the prefill.
+        if (textItems.size > 0) return;
+        (data.items || []).forEach((entry) => {
+          const text = sanitizeText(entry.text);
+          if (!text || !Number.isFinite(entry.x) || !Number.isFinite(entry.y) || !(entry.fontSize > 0)) return;
+          createTextItem(text, entry);
+          loadScriptFonts(text);
+        });
+        setActive(null);
+      })
+      .catch((err) => {
+        showStatus(err instanceof TypeError ? "Нет связи с ботом. Проверь интернет и открой редактор заново." : err.message, true);
+      });
+  }
+
   drawPuzzle();
+  drawBackground();
   updateControlsFromItem(null);
+  loadPuzzle();
 })();
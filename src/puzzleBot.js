@@ -9,6 +9,13 @@ import TextToSVG from "text-to-svg";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
 import { Telegraf, Markup } from "telegraf";
+import PDFDocument from "pdfkit";
+import JSZip from "jszip";
+import LineBreaker from "linebreak";
+import bidiFactory from "bidi-js";
+import reshaper from "arabic-persian-reshaper";
+import hyphenRu from "hyphen/ru/index.js";
+import hyphenEn from "hyphen/en/index.js";
 
 dotenv.config();
 
@@ -20,37 +27,132 @@ const LINE_COLOR = process.env.PUZZLE_LINE_COLOR || "#000000";
 const MIN_FONT_SIZE = Number.parseInt(process.env.PUZZLE_MIN_FONT_SIZE || "12", 10);
 const MAX_FONT_SIZE = Number.parseInt(process.env.PUZZLE_MAX_FONT_SIZE || "28", 10);
 const MAX_TEXT_LINES = Number.parseInt(process.env.PUZZLE_MAX_LINES || "3", 10);
+const MIN_FONT_PT = Number.parseFloat(process.env.PUZZLE_MIN_FONT_PT || "8");
+const MAX_FONT_PT = Number.parseFloat(process.env.PUZZLE_MAX_FONT_PT || "16");
+const LOW_DPI_WARNING_RATIO = 0.75;
+// A fact kept whole instead of shortened may shrink to 70% of the minimum font, but not below 6px.
+const KEEP_FONT_RATIO = 0.7;
+const KEEP_FONT_FLOOR = 6;
+const MAX_REWRITE_OPTIONS = 5;
+const FACT_BUTTONS_MAX = 10;
+// Telegram allows up to 8 buttons in a row and 100 in an inline keyboard.
+const PIECE_GRID_MAX_COLS = 8;
+const PIECE_GRID_MAX_BUTTONS = 99;
+const PLACE_LINE_PATTERN = /^(?:деталь|piece|№|#)?\s*([a-z]{1,2}\d+|\d+)\s*[:.)—–-]\s*(.+)$/iu;
+const MAX_MESSAGE_LENGTH = 4000;
 const WEBAPP_URL = (process.env.WEBAPP_URL || "").trim();
 const PORT = Number(process.env.PORT || 3000);
-const FONT_SCALE_BY_COUNT = {
-  12: 0.9,
-  15: 0.75,
-  16: 0.7,
-  21: 0.6
+const PDF_BLEED_MM = Number.parseFloat(process.env.PUZZLE_PDF_BLEED_MM || "3");
+const CROP_MARK_MM = 5;
+const MM_PER_INCH = 25.4;
+const MAX_PIECES = Number.parseInt(process.env.PUZZLE_MAX_PIECES || "500", 10);
+// Bot API refuses getFile for anything larger.
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp", "image/tiff", "image/heic", "image/heif"];
+const FACTS_FILE_TYPES = {
+  txt: ["text/plain"],
+  csv: ["text/csv", "text/comma-separated-values", "application/vnd.ms-excel"],
+  json: ["application/json"]
 };
+const MAX_FACTS_FILE_BYTES = 1024 * 1024;
+const MAX_LAYOUT_BYTES = 1024 * 1024;
+const INIT_DATA_MAX_AGE_S = 24 * 60 * 60;
+const MAX_LAYOUT_ITEMS = 1000;
+const MAX_LAYOUT_TEXT_LENGTH = 1000;
+const LAYOUT_SCALE_RANGE = [0.05, 20];
+const LAYOUT_FONT_SIZE_RANGE = [1, 400];
+const EDITOR_PREVIEW_MAX_SIDE = 1200;
+const EDITOR_PREVIEW_MIN_INTERVAL_MS = 500;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const FONT_PATH = path.resolve(__dirname, "..", "assets", "NotoSans-Regular.ttf");
+// Tests import this file for its helpers; only `node src/puzzleBot.js` starts the bot.
+const IS_MAIN_MODULE = path.resolve(process.argv[1] || "") === __filename;
+const DATA_DIR = process.env.PUZZLE_DATA_DIR || path.resolve(__dirname, "..", "data");
+const SETTINGS_PATH = path.join(DATA_DIR, "settings.json");
+const SESSIONS_PATH = path.join(DATA_DIR, "sessions.json");
+const HISTORY_PATH = path.join(DATA_DIR, "history.json");
+const HISTORY_LIMIT = Number.parseInt(process.env.PUZZLE_HISTORY_LIMIT || "10", 10);
+const HISTORY_THUMB_SIDE = 480;
+const SESSION_STORE = (process.env.PUZZLE_SESSION_STORE || "file").trim().toLowerCase();
+const SESSION_TTL_HOURS = Number.parseFloat(process.env.PUZZLE_SESSION_TTL_HOURS || "72");
+const SESSION_SAVE_INTERVAL_MS = 10 * 1000;
+const SESSION_CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+// Geometry is rebuilt from the seed when a restored session is first used, so it is not written to the store.
+const SESSION_DERIVED_FIELDS = ["puzzlePaths", "puzzleEdges", "puzzleQuality", "edgeMeta"];
+const FONT_DIR = path.resolve(__dirname, "..", "assets");
+const FONTS = {
+  sans: { label: "Noto Sans", file: "NotoSans-Regular.ttf" },
+  "sans-bold": { label: "Noto Sans жирный", file: "NotoSans-Bold.ttf" },
+  "sans-italic": { label: "Noto Sans курсив", file: "NotoSans-Italic.ttf" },
+  serif: { label: "Noto Serif", file: "NotoSerif-Regular.ttf" },
+  handwriting: { label: "Caveat (от руки)", file: "Caveat-Regular.ttf" }
+};
+const DEFAULT_FONT_ID = "sans";
+// Settings that change how a fact wraps on its piece: facts already collected are checked again after them.
+const FIT_SETTINGS = ["fontId", "textWrap", "hyphenate"];
+// Fallbacks for scripts the fonts above do not cover. They are loaded on first use: the CJK one alone takes ~100 MB.
+const SCRIPT_FONTS = [
+  { file: "NotoSansArabic-Regular.ttf", pattern: /[\u0600-\u06ff\u0750-\u077f\u08a0-\u08ff\ufb50-\ufdff\ufe70-\ufeff]/u },
+  { file: "NotoSansHebrew-Regular.ttf", pattern: /[\u0590-\u05ff\ufb1d-\ufb4f]/u },
+  { file: "NotoSansSC-Regular.ttf", pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303f\uff00-\uffef]/u },
+  { file: "NotoSansKR-Regular.ttf", pattern: /\p{Script=Hangul}/u }
+];
+const RTL_PATTERN = /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufeff]/u;
+// Latin, Cyrillic and common punctuation: the bundled fonts have all of it, so no per-character layout is needed.
+const HYPHENATORS = [
+  { pattern: /\p{Script=Cyrillic}/u, hyphenator: hyphenRu },
+  { pattern: /\p{Script=Latin}/u, hyphenator: hyphenEn }
+];
+// In the balanced mode a hyphen costs as much as a line left 30% short.
+const HYPHEN_PENALTY = 0.3;
+const TEXT_WRAP_MODES = {
+  greedy: "плотно",
+  balanced: "ровно"
+};
+const SIMPLE_TEXT_PATTERN = /^[\u0000-\u024f\u0400-\u04ff\u2000-\u206f\u20ac\u2116]*$/u;
+const EMOJI_DIR = path.resolve(__dirname, "..", "assets", "twemoji");
+// Twemoji pictures are drawn on a 36×36 grid; an emoji takes a bit more than 1em, like in emoji fonts.
+const EMOJI_VIEWBOX = 36;
+const EMOJI_ADVANCE = 1.15;
 let FONT_DATA = "";
-let textToSvg = null;
+let EMOJI_FILES = new Set();
+
+for (const [id, font] of Object.entries(FONTS)) {
+  font.path = path.join(FONT_DIR, font.file);
+  try {
+    font.textToSvg = TextToSVG.loadSync(font.path);
+  } catch (err) {
+    console.warn(`TextToSVG could not load ${font.file}.`, err?.message || err);
+    font.textToSvg = null;
+  }
+  if (id !== DEFAULT_FONT_ID || font.textToSvg) continue;
+  try {
+    font.textToSvg = TextToSVG.loadSync();
+  } catch (fallbackErr) {
+    console.warn("TextToSVG default font load failed, falling back to SVG text.", fallbackErr?.message || fallbackErr);
+  }
+}
+
+for (const font of SCRIPT_FONTS) {
+  font.path = path.join(FONT_DIR, font.file);
+}
 
 try {
-  FONT_DATA = fs.readFileSync(FONT_PATH).toString("base64");
+  FONT_DATA = fs.readFileSync(FONTS[DEFAULT_FONT_ID].path).toString("base64");
 } catch (err) {
   console.warn("Font file not found, fallback fonts will be used.", err?.message || err);
 }
 
 try {
-  textToSvg = TextToSVG.loadSync(FONT_PATH);
+  EMOJI_FILES = new Set(
+    fs
+      .readdirSync(EMOJI_DIR)
+      .filter((file) => file.endsWith(".svg"))
+      .map((file) => file.slice(0, -4))
+  );
 } catch (err) {
-  console.warn("TextToSVG font load failed, falling back to SVG text.", err?.message || err);
-  try {
-    textToSvg = TextToSVG.loadSync();
-  } catch (fallbackErr) {
-    console.warn("TextToSVG default font load failed.", fallbackErr?.message || fallbackErr);
-    textToSvg = null;
-  }
+  console.warn("Emoji set not found, emoji will be drawn as text.", err?.message || err);
 }
 
 const FONT_FAMILY = FONT_DATA ? "PuzzleFont, Arial, sans-serif" : "Arial, sans-serif";
@@ -58,14 +160,96 @@ const FONT_STYLE = FONT_DATA
   ? `@font-face { font-family: 'PuzzleFont'; src: url(data:font/ttf;base64,${FONT_DATA}) format('truetype'); }`
   : "";
 
-const SIZE_OPTIONS = [
-  { count: 12, rows: 3, cols: 4 },
-  { count: 15, rows: 3, cols: 5 },
-  { count: 16, rows: 4, cols: 4 },
-  { count: 21, rows: 3, cols: 7 }
-];
-
-if (!BOT_TOKEN) {
+const SIZE_SUGGESTIONS = [12, 15, 16, 21, 35, 54, 100, 200, 300, 500];
+const PIECE_STYLES = {
+  classic: "Классика",
+  straight: "Прямые",
+  wave: "Волны",
+  irregular: "Неровные (для детей)"
+};
+const DEFAULT_PIECE_STYLE = { style: "classic", tabSize: 1, jitter: 1 };
+const TAB_SIZE_STEP = 0.15;
+const JITTER_STEP = 0.5;
+const NECK_MIN_RATIO = 0.085;
+const CLEARANCE_MIN_RATIO = 0.07;
+const MAX_REROLL_PASSES = 6;
+
+const PAPER_SIZES = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 },
+  Letter: { width: 215.9, height: 279.4 }
+};
+const PRINT_FORMATS = {
+  "10x15": { width: 100, height: 150 },
+  "13x18": { width: 130, height: 180 },
+  "15x21": { width: 150, height: 210 },
+  "20x30": { width: 200, height: 300 },
+  A4: { width: 210, height: 297 },
+  "30x40": { width: 300, height: 400 },
+  A3: { width: 297, height: 420 }
+};
+const PRINT_DPI_OPTIONS = [150, 300];
+const FRAME_ASPECTS = ["photo", "1:1", "4:3", "3:4", "3:2", "2:3"];
+const FRAME_ZOOM_STEP = 1.25;
+const FRAME_MAX_ZOOM = 4;
+const FRAME_MOVE_STEP = 0.1;
+const FRAME_PREVIEW_SIDE = 640;
+const COLOR_PRESETS = {
+  black: { label: "Чёрный", value: "#000000" },
+  white: { label: "Белый", value: "#ffffff" },
+  gray: { label: "Серый", value: "#808080" },
+  red: { label: "Красный", value: "#d32f2f" },
+  blue: { label: "Синий", value: "#1565c0" },
+  brown: { label: "Коричневый", value: "#6d4c41" }
+};
+const DEFAULT_SETTINGS = {
+  lineColor: LINE_COLOR,
+  lineWidth: LINE_WIDTH,
+  lineOpacity: LINE_OPACITY,
+  lineDash: false,
+  textColor: "#111111",
+  fontId: DEFAULT_FONT_ID,
+  hyphenate: true,
+  textWrap: "greedy",
+  justify: false,
+  autoContrast: false,
+  pieceNumbers: "off",
+  backTheme: "white",
+  backPhotoFileId: null
+};
+const BACK_THEMES = {
+  white: { label: "Белый", type: "solid", colors: ["#ffffff"] },
+  cream: { label: "Кремовый", type: "solid", colors: ["#f5ecd7"] },
+  navy: { label: "Тёмно‑синий", type: "solid", colors: ["#1f2a44"] },
+  sky: { label: "Небо", type: "gradient", colors: ["#e3f2ff", "#8ec5ff"] },
+  sunset: { label: "Закат", type: "gradient", colors: ["#ffd194", "#ff7e7e"] },
+  night: { label: "Ночь", type: "gradient", colors: ["#141e30", "#35577d"] },
+  paper: { label: "Бумага", type: "paper", colors: ["#f3ead6"] },
+  photo: { label: "Своё фото", type: "photo", colors: ["#ffffff"] }
+};
+const BACK_PHOTO_OPACITY = 0.3;
+const BACK_PHOTO_SIDE = 1600;
+const BACK_IMAGE_CACHE_LIMIT = 50;
+// WCAG "large text" contrast; below it the text colour is swapped for black or white.
+const MIN_TEXT_CONTRAST = 3;
+const PIECE_NUMBER_MODES = {
+  off: "без номеров",
+  number: "номера",
+  code: "коды рядов (A1)"
+};
+const ASSEMBLY_KEY_SIDE = 1200;
+const LINE_WIDTH_STEP = 0.5;
+const LINE_OPACITY_STEP = 0.15;
+const CONTRAST_DARK = "#000000";
+const CONTRAST_LIGHT = "#ffffff";
+// Edges over photo areas brighter than this get dark lines, the rest get light ones.
+const CONTRAST_LUMINANCE_THRESHOLD = 0.5;
+const PDF_MARGIN_OPTIONS = [0, 5, 10];
+const PDF_DPI_OPTIONS = [150, 300];
+const CUT_FORMATS = ["svg", "dxf"];
+const CUT_STROKE_MM = 0.01;
+
+if (!BOT_TOKEN && IS_MAIN_MODULE) {
   console.error("Missing BOT_TOKEN. Set it in .env (see .env.example).");
   process.exit(1);
 }
@@ -82,8 +266,222 @@ const MIME_TYPES = {
   ".json": "application/json; charset=utf-8"
 };
 
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": MIME_TYPES[".json"], "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+// Themes and fonts come from the bot, so the editor has no copy of its own to fall out of step.
+async function getEditorAppearance(session) {
+  const { settings } = session;
+  const photo = settings.backPhotoFileId
+    ? await ensureBackImage(bot.telegram, { backTheme: "photo", backPhotoFileId: settings.backPhotoFileId })
+    : null;
+  const themes = Object.entries(BACK_THEMES)
+    .filter(([, theme]) => theme.type !== "photo" || photo)
+    .map(([key, theme]) => {
+      const { imageHref, textColor, lineColor } = resolveBackTheme({ ...settings, backTheme: key });
+      return {
+        key,
+        label: theme.label,
+        background: buildBackgroundSvg(key, session.width, session.height, imageHref),
+        textColor,
+        lineColor
+      };
+    });
+  return {
+    theme: themes.some((theme) => theme.key === settings.backTheme) ? settings.backTheme : "white",
+    themes,
+    fontId: settings.fontId,
+    fonts: Object.entries(FONTS).map(([id, font]) => ({ id, label: font.label, file: font.file })),
+    scriptFonts: SCRIPT_FONTS.map((font) => ({ file: font.file, pattern: font.pattern.source }))
+  };
+}
+
+async function serveEditorPuzzle(pid, req, res) {
+  const request = authorizeEditorRequest(pid, req.headers["x-telegram-init-data"], res);
+  if (!request) return;
+  const { session } = request;
+  try {
+    const appearance = await getEditorAppearance(session);
+    sendJson(res, 200, {
+      pid: session.id,
+      rows: session.rows,
+      cols: session.cols,
+      width: session.width,
+      height: session.height,
+      mirror: getBackMirror(session),
+      facts: session.facts.flatMap((text, index) => (text ? [{ piece: index + 1, text }] : [])),
+      items: getEditorItems(session),
+      ...appearance
+    });
+  } catch (err) {
+    console.error("Editor puzzle error", err);
+    sendJson(res, 500, { error: "internal" });
+  }
+}
+
+// Telegram signs the Mini App initData with a key derived from the bot token; returns the user or null.
+function validateInitData(initData) {
+  const params = new URLSearchParams(String(initData || ""));
+  const hash = params.get("hash") || "";
+  // A malformed hash would make timingSafeEqual throw on mismatched byte lengths.
+  if (!/^[0-9a-f]{64}$/.test(hash)) return null;
+  params.delete("hash");
+  const dataCheckString = [...params]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("\n");
+  const secret = crypto.createHmac("sha256", "WebAppData").update(BOT_TOKEN).digest();
+  const expected = crypto.createHmac("sha256", secret).update(dataCheckString).digest("hex");
+  if (!crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expected))) return null;
+  const authDate = Number(params.get("auth_date") || 0);
+  if (!(Date.now() / 1000 - authDate < INIT_DATA_MAX_AGE_S)) return null;
+  try {
+    const user = JSON.parse(params.get("user") || "null");
+    return user?.id ? user : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function readJsonBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > limit) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(Object.assign(err, { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Checks shared by the editor endpoints: on failure the error is sent and the result is null.
+function authorizeEditorRequest(pid, initData, res) {
+  const user = validateInitData(initData);
+  if (!user) {
+    sendJson(res, 401, { error: "unauthorized" });
+    return null;
+  }
+  const session = getSessionById(pid);
+  if (!session?.edgeMeta) {
+    sendJson(res, 404, { error: "not_found" });
+    return null;
+  }
+  if (String(session.userId) !== String(user.id)) {
+    sendJson(res, 403, { error: "forbidden" });
+    return null;
+  }
+  return { session, user };
+}
+
+async function readEditorRequest(pid, req, res) {
+  let payload;
+  try {
+    payload = await readJsonBody(req, MAX_LAYOUT_BYTES);
+  } catch (err) {
+    sendJson(res, err.status || 400, { error: err.status === 413 ? "too_large" : "bad_request" });
+    return null;
+  }
+  const request = authorizeEditorRequest(pid, payload?.initData, res);
+  return request && { ...request, payload };
+}
+
+async function receiveEditorLayout(pid, req, res) {
+  const request = await readEditorRequest(pid, req, res);
+  if (!request) return;
+  const { payload, session, user } = request;
+  try {
+    const result = await submitEditorLayout(createChatContext(user.id), session, parseEditorLayout(payload));
+    if (result === "busy") sendJson(res, 409, { error: "busy" });
+    else if (result === "empty") sendJson(res, 400, { error: "empty" });
+    else sendJson(res, 200, { ok: true });
+  } catch (err) {
+    console.error("Editor layout error", err);
+    sendJson(res, 500, { error: "render_failed" });
+  }
+}
+
+// userId -> { busy, startedAt }: one preview render per user at a time, and not too often. The entry
+// goes away with the user's session (resetSession, expireSessions).
+const previewRenders = new Map();
+
+async function serveEditorPreview(pid, req, res) {
+  const request = await readEditorRequest(pid, req, res);
+  if (!request) return;
+  const { payload, session, user } = request;
+  const key = String(user.id);
+  const previous = previewRenders.get(key);
+  if (previous && (previous.busy || Date.now() - previous.startedAt < EDITOR_PREVIEW_MIN_INTERVAL_MS)) {
+    sendJson(res, 429, { error: "too_many_requests" });
+    return;
+  }
+  const render = { busy: true, startedAt: Date.now() };
+  previewRenders.set(key, render);
+  try {
+    const maxSide = Math.min(EDITOR_PREVIEW_MAX_SIDE, Math.round(Number(payload.previewWidth)) || EDITOR_PREVIEW_MAX_SIDE);
+    const image = await generateBackPreview(bot.telegram, session, parseEditorLayout(payload), Math.max(1, maxSide));
+    res.writeHead(200, { "Content-Type": "image/png", "Cache-Control": "no-store" });
+    res.end(image);
+  } catch (err) {
+    console.error("Editor preview error", err);
+    sendJson(res, 500, { error: "render_failed" });
+  } finally {
+    render.busy = false;
+  }
+}
+
+// Route handlers are async: an error they did not answer themselves still gets a response
+// instead of becoming an unhandled rejection that stops the bot.
+function failApiRequest(res, err) {
+  console.error("API request error", err);
+  if (!res.headersSent) sendJson(res, 500, { error: "internal" });
+}
+
 function serveStatic(req, res) {
   const url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
+  const previewMatch = url.pathname.match(/^\/api\/puzzles\/([\w-]+)\/preview$/);
+  if (previewMatch && req.method === "POST") {
+    serveEditorPreview(previewMatch[1], req, res).catch((err) => failApiRequest(res, err));
+    return;
+  }
+  const layoutMatch = url.pathname.match(/^\/api\/puzzles\/([\w-]+)\/layout$/);
+  if (layoutMatch && req.method === "POST") {
+    receiveEditorLayout(layoutMatch[1], req, res).catch((err) => failApiRequest(res, err));
+    return;
+  }
+  const puzzleMatch = url.pathname.match(/^\/api\/puzzles\/([\w-]+)$/);
+  if (puzzleMatch && req.method === "GET") {
+    serveEditorPuzzle(puzzleMatch[1], req, res).catch((err) => failApiRequest(res, err));
+    return;
+  }
+  // The editor loads the same font files the server renders with.
+  const fontMatch = url.pathname.match(/^\/fonts\/([\w.-]+\.ttf)$/);
+  if (fontMatch) {
+    const font = [...Object.values(FONTS), ...SCRIPT_FONTS].find((item) => item.file === fontMatch[1]);
+    fs.readFile(font?.path || "", (err, data) => {
+      if (err) {
+        res.writeHead(404);
+        res.end("Not found");
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "font/ttf", "Cache-Control": "public, max-age=86400" });
+      res.end(data);
+    });
+    return;
+  }
   const pathname = url.pathname === "/" ? "/editor.html" : url.pathname;
   const filePath = path.resolve(PUBLIC_DIR, `.${pathname}`);
   if (!filePath.startsWith(PUBLIC_DIR)) {
@@ -104,51 +502,368 @@ function serveStatic(req, res) {
   });
 }
 
+function normalizeSettings(settings) {
+  const merged = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+  const isColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+  return {
+    lineColor: isColor(merged.lineColor) ? merged.lineColor : DEFAULT_SETTINGS.lineColor,
+    lineWidth: Math.min(6, Math.max(0.5, Number(merged.lineWidth) || 1)),
+    lineOpacity: Math.min(1, Math.max(0.1, Number(merged.lineOpacity) || 0.45)),
+    lineDash: Boolean(merged.lineDash),
+    textColor: isColor(merged.textColor) ? merged.textColor : DEFAULT_SETTINGS.textColor,
+    fontId: FONTS[merged.fontId] ? merged.fontId : DEFAULT_SETTINGS.fontId,
+    hyphenate: Boolean(merged.hyphenate),
+    textWrap: TEXT_WRAP_MODES[merged.textWrap] ? merged.textWrap : DEFAULT_SETTINGS.textWrap,
+    justify: Boolean(merged.justify),
+    autoContrast: Boolean(merged.autoContrast),
+    pieceNumbers: PIECE_NUMBER_MODES[merged.pieceNumbers] ? merged.pieceNumbers : DEFAULT_SETTINGS.pieceNumbers,
+    backTheme: BACK_THEMES[merged.backTheme] ? merged.backTheme : DEFAULT_SETTINGS.backTheme,
+    backPhotoFileId: merged.backPhotoFileId ? String(merged.backPhotoFileId) : null
+  };
+}
+
+function loadUserSettings() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(SETTINGS_PATH, "utf8"));
+    return new Map(Object.entries(stored).map(([userId, settings]) => [userId, normalizeSettings(settings)]));
+  } catch (err) {
+    if (err?.code !== "ENOENT") console.warn("Settings file not loaded", err?.message || err);
+    return new Map();
+  }
+}
+
+const userSettings = loadUserSettings();
+let settingsWrite = Promise.resolve();
+
+function saveUserSettings() {
+  const payload = JSON.stringify(Object.fromEntries(userSettings), null, 2);
+  // Writes are chained and go through a temp file, so a crash never leaves half a JSON behind.
+  settingsWrite = settingsWrite
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(SETTINGS_PATH), { recursive: true });
+      const tempPath = `${SETTINGS_PATH}.tmp`;
+      await fs.promises.writeFile(tempPath, payload);
+      await fs.promises.rename(tempPath, SETTINGS_PATH);
+    })
+    .catch((err) => console.error("Settings save error", err));
+  return settingsWrite;
+}
+
+function getUserSettings(userId) {
+  return normalizeSettings(userSettings.get(String(userId)));
+}
+
+function setUserSettings(userId, settings) {
+  const next = normalizeSettings(settings);
+  userSettings.set(String(userId), next);
+  saveUserSettings();
+  return next;
+}
+
+// A session store keeps in-progress puzzles across restarts: load() returns the saved sessions,
+// save() and saveSync() write all of them at once.
+function createFileSessionStore(filePath) {
+  return {
+    load() {
+      try {
+        return Object.values(JSON.parse(fs.readFileSync(filePath, "utf8")));
+      } catch (err) {
+        if (err?.code !== "ENOENT") console.warn("Sessions file not loaded", err?.message || err);
+        return [];
+      }
+    },
+    async save(payload) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, payload);
+      await fs.promises.rename(tempPath, filePath);
+    },
+    saveSync(payload) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, payload);
+      fs.renameSync(tempPath, filePath);
+    }
+  };
+}
+
+function createMemorySessionStore() {
+  return {
+    load: () => [],
+    save: async () => {},
+    saveSync: () => {}
+  };
+}
+
+const SESSION_STORES = {
+  file: () => createFileSessionStore(SESSIONS_PATH),
+  memory: createMemorySessionStore
+};
+
+const sessionStore = (SESSION_STORES[SESSION_STORE] || SESSION_STORES.file)();
 const sessions = new Map();
 const sessionsById = new Map();
+let sessionsWrite = Promise.resolve();
+let savedSessionsPayload = "";
 
-function createSession() {
+function createSession(userId = null) {
   return {
     id: crypto.randomUUID(),
-    userId: null,
+    userId: userId === null ? null : String(userId),
+    updatedAt: Date.now(),
     step: "await_photo",
     photoFileId: null,
     rows: null,
     cols: null,
     count: null,
+    photoWidth: null,
+    photoHeight: null,
     width: null,
     height: null,
     facts: [],
+    rewrites: [],
+    pendingRewrite: null,
+    editingFact: null,
+    placeMode: false,
+    placements: null,
     seed: null,
     puzzlePaths: null,
+    puzzleEdges: null,
+    puzzleQuality: null,
     edgeMeta: null,
-    fontScale: 1
+    fontScale: 1,
+    pieceStyle: { ...DEFAULT_PIECE_STYLE },
+    printFormat: null,
+    physicalSize: null,
+    mediaGroupId: null,
+    framing: null,
+    awaitingBackPhoto: false,
+    settings: getUserSettings(userId),
+    lineColors: null
   };
 }
 
 function getSession(userId) {
   const key = String(userId);
   if (!sessions.has(key)) {
-    const session = createSession();
-    session.userId = key;
+    const session = createSession(key);
     sessions.set(key, session);
     sessionsById.set(session.id, session);
   }
   const session = sessions.get(key);
   if (session && !session.userId) session.userId = key;
-  return session;
+  session.updatedAt = Date.now();
+  return ensurePuzzleGeometry(session);
+}
+
+function getSessionById(pid) {
+  const session = sessionsById.get(pid);
+  return session && ensurePuzzleGeometry(session);
 }
 
 function resetSession(userId) {
   const key = String(userId);
   const prev = sessions.get(key);
   if (prev?.id) sessionsById.delete(prev.id);
-  const session = createSession();
-  session.userId = key;
+  framePreviews.delete(key);
+  previewRenders.delete(key);
+  const session = createSession(key);
   sessions.set(key, session);
   sessionsById.set(session.id, session);
 }
 
+function serializeSessions() {
+  const stored = {};
+  for (const [key, session] of sessions) {
+    const data = { ...session };
+    SESSION_DERIVED_FIELDS.forEach((field) => delete data[field]);
+    stored[key] = data;
+  }
+  return JSON.stringify(stored);
+}
+
+function hasPuzzleSeed(session) {
+  return Boolean(session.seed && session.width && session.height && session.rows && session.cols);
+}
+
+// Restored sessions get their geometry back from the seed on first use, so a restart does not rebuild
+// every stored puzzle at once.
+function ensurePuzzleGeometry(session) {
+  if (session.edgeMeta || !hasPuzzleSeed(session)) return session;
+  const puzzleData = buildPuzzleData(session.width, session.height, session.rows, session.cols, session.seed, session.pieceStyle);
+  session.puzzlePaths = puzzleData.paths;
+  session.puzzleEdges = puzzleData.edges;
+  session.puzzleQuality = puzzleData.quality;
+  session.edgeMeta = puzzleData.edgeMeta;
+  return session;
+}
+
+function restoreSession(data) {
+  const session = { ...createSession(data.userId), ...data, settings: normalizeSettings(data.settings) };
+  // Work interrupted by the restart is dropped; the user repeats the last step.
+  if (session.step === "processing") {
+    session.step = hasPuzzleSeed(session) ? "await_facts" : session.photoFileId ? "await_size" : "await_photo";
+  }
+  return session;
+}
+
+function loadSessions() {
+  const expiresBefore = Date.now() - SESSION_TTL_HOURS * 60 * 60 * 1000;
+  for (const data of sessionStore.load()) {
+    if (!data?.userId || !(data.updatedAt > expiresBefore)) continue;
+    try {
+      const session = restoreSession(data);
+      sessions.set(session.userId, session);
+      sessionsById.set(session.id, session);
+    } catch (err) {
+      console.warn(`Session ${data.id} not restored`, err?.message || err);
+    }
+  }
+  savedSessionsPayload = serializeSessions();
+}
+
+// Sessions are written on a timer rather than after each change, and only when something changed.
+function saveSessions() {
+  const payload = serializeSessions();
+  if (payload === savedSessionsPayload) return sessionsWrite;
+  savedSessionsPayload = payload;
+  sessionsWrite = sessionsWrite
+    .then(() => sessionStore.save(payload))
+    .catch((err) => console.error("Sessions save error", err));
+  return sessionsWrite;
+}
+
+function flushSessions() {
+  try {
+    sessionStore.saveSync(serializeSessions());
+  } catch (err) {
+    console.error("Sessions flush error", err);
+  }
+}
+
+function expireSessions() {
+  const expiresBefore = Date.now() - SESSION_TTL_HOURS * 60 * 60 * 1000;
+  for (const [key, session] of sessions) {
+    if (session.updatedAt > expiresBefore) continue;
+    sessions.delete(key);
+    sessionsById.delete(session.id);
+    imageQueues.delete(key);
+    framePreviews.delete(key);
+    previewRenders.delete(key);
+  }
+}
+
+const finishedPuzzles = new Map();
+const imageQueues = new Map();
+const framePreviews = new Map();
+
+function getImageQueue(userId) {
+  const key = String(userId);
+  if (!imageQueues.has(key)) imageQueues.set(key, []);
+  return imageQueues.get(key);
+}
+
+function clearImageQueue(userId) {
+  const queue = imageQueues.get(String(userId)) || [];
+  imageQueues.delete(String(userId));
+  return queue.length;
+}
+
+function loadPuzzleHistory() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(HISTORY_PATH, "utf8"));
+    return new Map(Object.entries(stored).filter(([, records]) => Array.isArray(records)));
+  } catch (err) {
+    if (err?.code !== "ENOENT") console.warn("History file not loaded", err?.message || err);
+    return new Map();
+  }
+}
+
+const puzzleHistory = loadPuzzleHistory();
+let historyWrite = Promise.resolve();
+
+function savePuzzleHistory() {
+  const payload = JSON.stringify(Object.fromEntries(puzzleHistory));
+  historyWrite = historyWrite
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(HISTORY_PATH), { recursive: true });
+      const tempPath = `${HISTORY_PATH}.tmp`;
+      await fs.promises.writeFile(tempPath, payload);
+      await fs.promises.rename(tempPath, HISTORY_PATH);
+    })
+    .catch((err) => console.error("History save error", err));
+  return historyWrite;
+}
+
+function getPuzzleHistory(userId) {
+  return puzzleHistory.get(String(userId)) || [];
+}
+
+function findHistoryRecord(userId, id) {
+  return getPuzzleHistory(userId).find((record) => record.id === id) || null;
+}
+
+// Geometry is not stored: buildPuzzleData cuts exactly the same pieces again from the seed.
+function hydratePuzzle(record) {
+  const puzzleData = buildPuzzleData(record.width, record.height, record.rows, record.cols, record.seed, record.pieceStyle);
+  return {
+    ...record,
+    settings: normalizeSettings(record.settings),
+    puzzlePaths: puzzleData.paths,
+    puzzleEdges: puzzleData.edges,
+    puzzleQuality: puzzleData.quality,
+    edgeMeta: puzzleData.edgeMeta
+  };
+}
+
+function rememberFinishedPuzzle(userId, session, placements = null, mirror = false) {
+  const key = String(userId);
+  const record = {
+    id: session.id,
+    createdAt: Date.now(),
+    photoFileId: session.photoFileId,
+    photoWidth: session.photoWidth,
+    photoHeight: session.photoHeight,
+    rows: session.rows,
+    cols: session.cols,
+    count: session.count,
+    width: session.width,
+    height: session.height,
+    seed: session.seed,
+    pieceStyle: { ...session.pieceStyle },
+    facts: session.facts.slice(),
+    rewrites: session.rewrites.slice(),
+    fontScale: session.fontScale,
+    printFormat: session.printFormat,
+    physicalSize: session.physicalSize,
+    framing: session.framing,
+    settings: { ...session.settings },
+    lineColors: session.lineColors,
+    placements,
+    mirror,
+    thumbFileId: null
+  };
+  puzzleHistory.set(key, [record, ...getPuzzleHistory(key).filter((item) => item.id !== record.id)].slice(0, HISTORY_LIMIT));
+  savePuzzleHistory();
+  finishedPuzzles.set(key, {
+    ...record,
+    puzzlePaths: session.puzzlePaths,
+    puzzleEdges: session.puzzleEdges,
+    puzzleQuality: session.puzzleQuality,
+    edgeMeta: session.edgeMeta
+  });
+}
+
+// The puzzle that /pdf, /pieces and the cut file work on: the last one finished or picked in /history.
+function getFinishedPuzzle(userId) {
+  const key = String(userId);
+  if (!finishedPuzzles.has(key)) {
+    const [latest] = getPuzzleHistory(key);
+    if (latest) finishedPuzzles.set(key, hydratePuzzle(latest));
+  }
+  return finishedPuzzles.get(key) || null;
+}
+
 function downloadFile(url, redirects = 0) {
   return new Promise((resolve, reject) => {
     https
@@ -175,13 +890,115 @@ function downloadFile(url, redirects = 0) {
   });
 }
 
-async function normalizePhoto(buffer) {
-  let image = sharp(buffer).rotate();
-  const metadata = await image.metadata();
+function getPhysicalSize(printFormat, landscape) {
+  const format = PRINT_FORMATS[printFormat.key];
+  const long = Math.max(format.width, format.height);
+  const short = Math.min(format.width, format.height);
+  const widthMm = landscape ? long : short;
+  const heightMm = landscape ? short : long;
+  return {
+    widthMm,
+    heightMm,
+    dpi: printFormat.dpi,
+    width: mmToPx(widthMm, printFormat.dpi),
+    height: mmToPx(heightMm, printFormat.dpi)
+  };
+}
+
+function getOrientedSize(metadata) {
+  // EXIF orientations 5-8 swap the sides once `rotate()` is applied.
+  const swapped = (metadata.orientation || 1) >= 5;
+  return {
+    width: swapped ? metadata.height : metadata.width,
+    height: swapped ? metadata.width : metadata.height
+  };
+}
+
+function getRotatedSize(width, height, rotate) {
+  return rotate % 180 ? { width: height, height: width } : { width, height };
+}
+
+function resolveFrameAspect(framing, width, height, printFormat) {
+  if (printFormat) {
+    const physical = getPhysicalSize(printFormat, width > height);
+    return physical.widthMm / physical.heightMm;
+  }
+  if (framing.aspect === "photo") return width / height;
+  const [a, b] = framing.aspect.split(":").map(Number);
+  return a / b;
+}
+
+// The crop box is kept in fractions of the rotated photo, so it does not depend on the
+// resolution the photo is loaded at (chat preview, compressed photo or original file).
+function computeCropBox(framing, sourceWidth, sourceHeight, printFormat) {
+  const { width, height } = getRotatedSize(sourceWidth, sourceHeight, framing.rotate);
+  const aspect = resolveFrameAspect(framing, width, height, printFormat);
+  let boxWidth = width;
+  let boxHeight = width / aspect;
+  if (boxHeight > height) {
+    boxHeight = height;
+    boxWidth = height * aspect;
+  }
+  boxWidth /= framing.zoom;
+  boxHeight /= framing.zoom;
+  const left = Math.min(Math.max(framing.centerX * width - boxWidth / 2, 0), width - boxWidth);
+  const top = Math.min(Math.max(framing.centerY * height - boxHeight / 2, 0), height - boxHeight);
+  return {
+    left: left / width,
+    top: top / height,
+    width: boxWidth / width,
+    height: boxHeight / height
+  };
+}
+
+function getFramedSize(sourceWidth, sourceHeight, framing) {
+  if (!framing) return { width: sourceWidth, height: sourceHeight };
+  const rotated = getRotatedSize(sourceWidth, sourceHeight, framing.rotate);
+  if (!framing.crop) return rotated;
+  return {
+    width: Math.max(1, Math.round(framing.crop.width * rotated.width)),
+    height: Math.max(1, Math.round(framing.crop.height * rotated.height))
+  };
+}
+
+async function openFramedPhoto(buffer, framing = null) {
+  const image = sharp(buffer, { autoOrient: true });
+  const source = getOrientedSize(await image.metadata());
+  if (!framing) return { image, ...source };
+
+  if (framing.rotate) image.rotate(framing.rotate);
+  const rotated = getRotatedSize(source.width, source.height, framing.rotate);
+  if (!framing.crop) return { image, ...rotated };
+
+  const { width, height } = getFramedSize(source.width, source.height, framing);
+  const left = Math.min(Math.round(framing.crop.left * rotated.width), rotated.width - width);
+  const top = Math.min(Math.round(framing.crop.top * rotated.height), rotated.height - height);
+  image.extract({ left: Math.max(0, left), top: Math.max(0, top), width, height });
+  return { image, width, height };
+}
+
+async function normalizePhoto(buffer, printFormat = null, framing = null) {
+  const framed = await openFramedPhoto(buffer, framing);
+  let image = framed.image.flatten({ background: "#ffffff" });
   const maxSide = Number.isFinite(PUZZLE_MAX_SIDE) ? PUZZLE_MAX_SIDE : 2000;
 
-  if (metadata.width && metadata.height) {
-    if (metadata.width > maxSide || metadata.height > maxSide) {
+  if (printFormat && framed.width && framed.height) {
+    const { width: sourceWidth, height: sourceHeight } = framed;
+    const physical = getPhysicalSize(printFormat, sourceWidth > sourceHeight);
+    image = image.resize({ width: physical.width, height: physical.height, fit: "cover", position: "centre" });
+
+    const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+    const effectiveDpi = Math.round(physical.dpi * Math.min(sourceWidth / physical.width, sourceHeight / physical.height));
+    return {
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      physical: { widthMm: physical.widthMm, heightMm: physical.heightMm, dpi: physical.dpi, effectiveDpi }
+    };
+  }
+
+  if (framed.width && framed.height) {
+    if (framed.width > maxSide || framed.height > maxSide) {
       image = image.resize({
         width: maxSide,
         height: maxSide,
@@ -192,7 +1009,7 @@ async function normalizePhoto(buffer) {
   }
 
   const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
-  return { buffer: data, width: info.width, height: info.height };
+  return { buffer: data, width: info.width, height: info.height, physical: null };
 }
 
 function fmt(value) {
@@ -215,7 +1032,24 @@ function randomBetween(rng, min, max) {
   return rng() * (max - min) + min;
 }
 
-function edgeDistributions(rng) {
+function normalizePieceStyle(pieceStyle) {
+  const style = PIECE_STYLES[pieceStyle?.style] ? pieceStyle.style : DEFAULT_PIECE_STYLE.style;
+  const tabSize = Number(pieceStyle?.tabSize ?? DEFAULT_PIECE_STYLE.tabSize);
+  const jitter = Number(pieceStyle?.jitter ?? DEFAULT_PIECE_STYLE.jitter);
+  return {
+    style,
+    tabSize: Number.isFinite(tabSize) ? Math.min(1.4, Math.max(0.6, tabSize)) : DEFAULT_PIECE_STYLE.tabSize,
+    jitter: Number.isFinite(jitter) ? Math.min(1.5, Math.max(0, jitter)) : DEFAULT_PIECE_STYLE.jitter
+  };
+}
+
+function jitterBetween(rng, min, max, jitter) {
+  const mid = (min + max) / 2;
+  const half = ((max - min) / 2) * jitter;
+  return randomBetween(rng, mid - half, mid + half);
+}
+
+function classicDistributions(rng, options) {
   const baselineOffsets = {
     xMin: 51,
     xMax: 62,
@@ -228,71 +1062,120 @@ function edgeDistributions(rng) {
     yMin: 20,
     yMax: 44
   };
+  const { jitter, tabSize } = options;
 
   const p1 = [0, 0];
-  const p2 = [randomBetween(rng, baselineOffsets.xMin, baselineOffsets.xMax), randomBetween(rng, baselineOffsets.yMin, baselineOffsets.yMax)];
-  const p3 = [randomBetween(rng, upperOffsets.xMin, upperOffsets.xMax), randomBetween(rng, upperOffsets.yMin, upperOffsets.yMax)];
+  const p2 = [
+    jitterBetween(rng, baselineOffsets.xMin, baselineOffsets.xMax, jitter),
+    jitterBetween(rng, baselineOffsets.yMin, baselineOffsets.yMax, jitter)
+  ];
+  const p3 = [
+    jitterBetween(rng, upperOffsets.xMin, upperOffsets.xMax, jitter),
+    jitterBetween(rng, upperOffsets.yMin, upperOffsets.yMax, jitter)
+  ];
   const p4 = [
-    randomBetween(rng, 100 - upperOffsets.xMax, 100 - upperOffsets.xMin),
-    randomBetween(rng, upperOffsets.yMin, upperOffsets.yMax)
+    jitterBetween(rng, 100 - upperOffsets.xMax, 100 - upperOffsets.xMin, jitter),
+    jitterBetween(rng, upperOffsets.yMin, upperOffsets.yMax, jitter)
   ];
   const p5 = [
-    randomBetween(rng, 100 - baselineOffsets.xMax, 100 - baselineOffsets.xMin),
-    randomBetween(rng, baselineOffsets.yMin, baselineOffsets.yMax)
+    jitterBetween(rng, 100 - baselineOffsets.xMax, 100 - baselineOffsets.xMin, jitter),
+    jitterBetween(rng, baselineOffsets.yMin, baselineOffsets.yMax, jitter)
   ];
   const p6 = [100, 0];
 
   const sign = rng() < 0.5 ? -1 : 1;
-  const normalized = [p1, p2, p3, p4, p5, p6].map((point) => [point[0] / 100, point[1] / 100]);
+  // Tab size scales the knob around the middle of the edge; the corners stay put.
+  const scaled = [p2, p3, p4, p5].map((point) => [50 + (point[0] - 50) * tabSize, point[1] * tabSize]);
+  const normalized = [p1, ...scaled, p6].map((point) => [point[0] / 100, point[1] / 100]);
   const amp = normalized.reduce((max, point) => Math.max(max, Math.abs(point[1])), 0);
   const points = normalized.map((point) => [point[0], point[1] * sign]);
   return { points, amp, sign };
 }
 
-function buildDistributions(rowCount, columnCount, rng) {
+function waveDistributions(rng, options) {
+  const amp = jitterBetween(rng, 0.06, 0.1, options.jitter) * options.tabSize;
+  const shift = jitterBetween(rng, -0.05, 0.05, options.jitter);
+  const sign = rng() < 0.5 ? -1 : 1;
+  const points = [
+    [0, 0],
+    [0.15, 0],
+    [0.35 + shift, amp * sign],
+    [0.65 + shift, -amp * sign],
+    [0.85, 0],
+    [1, 0]
+  ];
+  return { points, amp, sign, twoSided: true };
+}
+
+function bulgeDistributions(rng, options) {
+  const amp = jitterBetween(rng, 0.04, 0.1, options.jitter) * options.tabSize;
+  const sign = rng() < 0.5 ? -1 : 1;
+  const points = [
+    [0, 0],
+    [0.25, amp * sign],
+    [0.75, amp * sign],
+    [1, 0]
+  ];
+  return { points, amp, sign };
+}
+
+function straightDistribution() {
+  return {
+    points: [
+      [0, 0],
+      [1, 0]
+    ],
+    amp: 0,
+    sign: 0
+  };
+}
+
+function edgeDistributions(rng, options = DEFAULT_PIECE_STYLE) {
+  if (options.style === "straight") return straightDistribution();
+  if (options.style === "wave") return waveDistributions(rng, options);
+  if (options.style === "irregular") return bulgeDistributions(rng, options);
+  return classicDistributions(rng, options);
+}
+
+function buildDistributions(rowCount, columnCount, rng, options) {
   const lineGroups = [];
-  lineGroups.push(
-    Array.from({ length: columnCount }, () => ({
-      points: [
-        [0, 0],
-        [1, 0]
-      ],
-      amp: 0,
-      sign: 0
-    }))
-  );
+  lineGroups.push(Array.from({ length: columnCount }, () => straightDistribution()));
 
   for (let i = 1; i < rowCount; i += 1) {
     const lines = [];
     for (let j = 0; j < columnCount; j += 1) {
-      lines.push(edgeDistributions(rng));
+      lines.push(edgeDistributions(rng, options));
     }
     lineGroups.push(lines);
   }
 
-  lineGroups.push(
-    Array.from({ length: columnCount }, () => ({
-      points: [
-        [0, 0],
-        [1, 0]
-      ],
-      amp: 0,
-      sign: 0
-    }))
-  );
+  lineGroups.push(Array.from({ length: columnCount }, () => straightDistribution()));
   return lineGroups;
 }
 
-function transposePoint(point) {
-  return [point[1], point[0]];
-}
-
-function offsetPoint(point, offsetX, offsetY, columnWidth, rowHeight) {
-  return [(point[0] + offsetX) * columnWidth, (point[1] + offsetY) * rowHeight];
+function buildCorners(width, height, rows, cols, rng, options) {
+  const columnWidth = width / cols;
+  const rowHeight = height / rows;
+  // Irregular pieces come from moving the grid corners; border corners only slide along the border.
+  const shift = options.style === "irregular" ? 0.15 * options.jitter : 0;
+  return Array.from({ length: rows + 1 }, (_, r) =>
+    Array.from({ length: cols + 1 }, (__, c) => {
+      if (!shift) return [c * columnWidth, r * rowHeight];
+      const dx = c > 0 && c < cols ? randomBetween(rng, -shift, shift) * columnWidth : 0;
+      const dy = r > 0 && r < rows ? randomBetween(rng, -shift, shift) * rowHeight : 0;
+      return [c * columnWidth + dx, r * rowHeight + dy];
+    })
+  );
 }
 
-function offsetPoints(lineGroups, offsetFn) {
-  return lineGroups.map((lines, i) => lines.map((line, j) => line.points.map((point) => offsetFn(point, i, j))));
+function mapEdgePoints(points, start, end, normalScale, vertical) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const length = Math.hypot(dx, dy) || 1;
+  // Offsets bulge towards +y for horizontal edges and towards +x for vertical ones.
+  const nx = (vertical ? dy : -dy) / length;
+  const ny = (vertical ? -dx : dx) / length;
+  return points.map(([t, d]) => [start[0] + dx * t + nx * d * normalScale, start[1] + dy * t + ny * d * normalScale]);
 }
 
 function lineToPath(points) {
@@ -304,54 +1187,371 @@ function lineToPath(points) {
   return path || "";
 }
 
-function buildPuzzleData(width, height, rows, cols, seed) {
-  const rng = createRng(Number.isFinite(seed) ? seed : Math.floor(Math.random() * 1e9));
-  const rowHeight = height / rows;
-  const columnWidth = width / cols;
+function deriveSeed(seed, ...parts) {
+  let hash = seed >>> 0;
+  for (const part of parts) {
+    hash = Math.imul(hash ^ (part + 0x9e3779b9), 0x85ebca6b) >>> 0;
+    hash ^= hash >>> 13;
+  }
+  return hash >>> 0;
+}
 
-  const rowsLines = buildDistributions(rows, cols, rng);
-  const columnsLines = buildDistributions(cols, rows, rng);
+function placeEdges(rowsLines, columnsLines, corners, rowHeight, columnWidth) {
+  return {
+    horizontal: rowsLines.map((lines, i) =>
+      lines.map((line, j) => mapEdgePoints(line.points, corners[i][j], corners[i][j + 1], rowHeight, false))
+    ),
+    vertical: columnsLines.map((lines, i) =>
+      lines.map((line, j) => mapEdgePoints(line.points, corners[j][i], corners[j + 1][i], columnWidth, true))
+    )
+  };
+}
 
-  const safetyFactor = 1.05;
-  const horizontalEdges = rowsLines.map((lines) =>
-    lines.map((line) => ({
-      ampPx: line.amp * rowHeight * safetyFactor,
-      sign: line.sign
-    }))
-  );
-  const verticalEdges = columnsLines.map((lines) =>
-    lines.map((line) => ({
-      ampPx: line.amp * columnWidth * safetyFactor,
-      sign: line.sign
+function minDistance(pointsA, pointsB) {
+  let best = Infinity;
+  for (const a of pointsA) {
+    for (const b of pointsB) {
+      const dist = Math.hypot(a[0] - b[0], a[1] - b[1]);
+      if (dist < best) best = dist;
+    }
+  }
+  return best;
+}
+
+function sampleEdge(points) {
+  const polyline = flattenPath(lineToPath(points), 6)[0] || points;
+  const start = points[0];
+  const end = points[points.length - 1];
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const length = Math.hypot(dx, dy) || 1;
+  const offsets = polyline.map(([x, y]) => Math.abs(((y - start[1]) * dx - (x - start[0]) * dy) / length));
+  const peak = Math.max(0, ...offsets);
+  // The head is the part of a tab that sticks out the most; flat edges have none.
+  const head = peak > 1 ? polyline.filter((_, idx) => offsets[idx] >= peak * 0.5) : [];
+  return { polyline, offsets, peak, head };
+}
+
+function measureNeck(sample) {
+  const { polyline, offsets, peak } = sample;
+  if (sample.head.length === 0) return Infinity;
+  const apex = offsets.indexOf(peak);
+  const inBand = (idx) => offsets[idx] >= peak * 0.1 && offsets[idx] <= peak * 0.8;
+  // The neck is the narrowest gap between the flank rising to the apex and the one falling from it.
+  const rising = polyline.filter((_, idx) => idx < apex && inBand(idx));
+  const falling = polyline.filter((_, idx) => idx > apex && inBand(idx));
+  return minDistance(rising, falling);
+}
+
+function inspectEdges(edges, corners, rows, cols, limits) {
+  const samples = [edges.horizontal, edges.vertical].map((group) => group.map((lines) => lines.map(sampleEdge)));
+  const offenders = new Map();
+  let minNeckWidth = Infinity;
+  let minClearance = Infinity;
+
+  samples.forEach((group, orientation) =>
+    group.forEach((lines, i) =>
+      lines.forEach((sample, j) => {
+        const neck = measureNeck(sample);
+        minNeckWidth = Math.min(minNeckWidth, neck);
+        if (neck < limits.neck) offenders.set(`${orientation}:${i}:${j}`, [orientation, i, j]);
+      })
+    )
+  );
+
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      const cellEdges = [
+        [0, r, c],
+        [0, r + 1, c],
+        [1, c, r],
+        [1, c + 1, r]
+      ];
+      const cellCorners = [corners[r][c], corners[r][c + 1], corners[r + 1][c], corners[r + 1][c + 1]];
+      for (const edge of cellEdges) {
+        const { head } = samples[edge[0]][edge[1]][edge[2]];
+        if (head.length === 0) continue;
+        let clearance = minDistance(head, cellCorners);
+        for (const other of cellEdges) {
+          if (other === edge) continue;
+          clearance = Math.min(clearance, minDistance(head, samples[other[0]][other[1]][other[2]].polyline));
+        }
+        minClearance = Math.min(minClearance, clearance);
+        if (clearance < limits.clearance) offenders.set(edge.join(":"), edge);
+      }
+    }
+  }
+
+  return { offenders: [...offenders.values()], minNeckWidth, minClearance };
+}
+
+function validatePuzzleEdges(rowsLines, columnsLines, corners, geometry) {
+  const { rows, cols, rowHeight, columnWidth, seed, options } = geometry;
+  const pieceSize = Math.min(rowHeight, columnWidth);
+  // Smaller tabs have proportionally thinner necks by design.
+  const limits = { neck: pieceSize * NECK_MIN_RATIO * options.tabSize, clearance: pieceSize * CLEARANCE_MIN_RATIO };
+  const groups = [rowsLines, columnsLines];
+  const attempts = new Map();
+  let inspection = null;
+
+  // Offending edges are replaced from a per-edge seed, so the same puzzle seed always
+  // ends up with the same fixes and the untouched edges keep their shape.
+  for (let pass = 0; pass <= MAX_REROLL_PASSES; pass += 1) {
+    const edges = placeEdges(rowsLines, columnsLines, corners, rowHeight, columnWidth);
+    inspection = inspectEdges(edges, corners, rows, cols, limits);
+    if (inspection.offenders.length === 0 || pass === MAX_REROLL_PASSES) break;
+    for (const [orientation, i, j] of inspection.offenders) {
+      const key = `${orientation}:${i}:${j}`;
+      const attempt = (attempts.get(key) || 0) + 1;
+      attempts.set(key, attempt);
+      groups[orientation][i][j] = edgeDistributions(createRng(deriveSeed(seed, orientation, i, j, attempt)), options);
+    }
+  }
+
+  const finite = (value) => (Number.isFinite(value) ? fmt(value) : null);
+  return {
+    pieceSize: fmt(pieceSize),
+    minNeckWidth: finite(inspection.minNeckWidth),
+    minClearance: finite(inspection.minClearance),
+    neckThreshold: fmt(limits.neck),
+    clearanceThreshold: fmt(limits.clearance),
+    rerolled: [...attempts].map(([key, attempt]) => {
+      const [orientation, i, j] = key.split(":").map(Number);
+      return { orientation: orientation === 0 ? "h" : "v", i, j, attempt };
+    }),
+    issues: inspection.offenders.length
+  };
+}
+
+function buildPuzzleData(width, height, rows, cols, seed, pieceStyle = DEFAULT_PIECE_STYLE) {
+  const options = normalizePieceStyle(pieceStyle);
+  const baseSeed = Number.isFinite(seed) ? seed : Math.floor(Math.random() * 1e9);
+  const rng = createRng(baseSeed);
+  const rowHeight = height / rows;
+  const columnWidth = width / cols;
+
+  const rowsLines = buildDistributions(rows, cols, rng, options);
+  const columnsLines = buildDistributions(cols, rows, rng, options);
+  const corners = buildCorners(width, height, rows, cols, rng, options);
+  const quality = validatePuzzleEdges(rowsLines, columnsLines, corners, {
+    rows,
+    cols,
+    rowHeight,
+    columnWidth,
+    seed: baseSeed,
+    options
+  });
+
+  const safetyFactor = 1.05;
+  const horizontalEdges = rowsLines.map((lines) =>
+    lines.map((line) => ({
+      ampPx: line.amp * rowHeight * safetyFactor,
+      sign: line.sign,
+      twoSided: Boolean(line.twoSided)
+    }))
+  );
+  const verticalEdges = columnsLines.map((lines) =>
+    lines.map((line) => ({
+      ampPx: line.amp * columnWidth * safetyFactor,
+      sign: line.sign,
+      twoSided: Boolean(line.twoSided)
     }))
   );
 
-  const rowsOffset = offsetPoints(rowsLines, (point, i, j) => offsetPoint(point, j, i, columnWidth, rowHeight));
-  const columnsOffset = offsetPoints(columnsLines, (point, i, j) =>
-    offsetPoint(transposePoint(point), i, j, columnWidth, rowHeight)
+  const { horizontal: rowsOffset, vertical: columnsOffset } = placeEdges(
+    rowsLines,
+    columnsLines,
+    corners,
+    rowHeight,
+    columnWidth
   );
 
   const allLines = [...rowsOffset.flat(), ...columnsOffset.flat()];
   return {
     paths: allLines.map(lineToPath).filter(Boolean),
+    quality,
+    edges: {
+      horizontal: rowsOffset,
+      vertical: columnsOffset
+    },
     edgeMeta: {
       horizontal: horizontalEdges,
-      vertical: verticalEdges
+      vertical: verticalEdges,
+      corners: options.style === "irregular" ? corners : null
     }
   };
 }
 
-function buildPuzzleSvg(width, height, puzzlePaths) {
-  const paths = puzzlePaths.map((pathDef) => `<path d="${pathDef}" />`).join("");
+function continuePath(pathDef) {
+  return pathDef.replace(/^M/, "L");
+}
+
+function buildPieceOutline(edges, row, col) {
+  // Edges are stored once per shared line, left-to-right and top-to-bottom,
+  // so the bottom and left sides are walked backwards to close the outline.
+  const top = edges.horizontal[row][col];
+  const right = edges.vertical[col + 1][row];
+  const bottom = edges.horizontal[row + 1][col].slice().reverse();
+  const left = edges.vertical[col][row].slice().reverse();
+  const sides = [top, right, bottom, left].map(lineToPath);
+  return `${sides[0]} ${sides.slice(1).map(continuePath).join(" ")} Z`;
+}
+
+function getPieceBounds(edges, row, col, width, height) {
+  const points = [
+    ...edges.horizontal[row][col],
+    ...edges.vertical[col + 1][row],
+    ...edges.horizontal[row + 1][col],
+    ...edges.vertical[col][row]
+  ];
+  const xs = points.map((point) => point[0]);
+  const ys = points.map((point) => point[1]);
+  const left = Math.max(0, Math.floor(Math.min(...xs)) - 1);
+  const top = Math.max(0, Math.floor(Math.min(...ys)) - 1);
+  const right = Math.min(width, Math.ceil(Math.max(...xs)) + 1);
+  const bottom = Math.min(height, Math.ceil(Math.max(...ys)) + 1);
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+const backImages = new Map();
+
+async function ensureBackImage(telegram, settings) {
+  if (settings?.backTheme !== "photo" || !settings.backPhotoFileId) return null;
+  const cached = backImages.get(settings.backPhotoFileId);
+  if (cached) return cached;
+  try {
+    const fileLink = await telegram.getFileLink(settings.backPhotoFileId);
+    const photoBuffer = await downloadFile(fileLink.href || String(fileLink));
+    const buffer = await sharp(photoBuffer, { autoOrient: true })
+      .resize({ width: BACK_PHOTO_SIDE, height: BACK_PHOTO_SIDE, fit: "inside", withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+    const stats = await sharp(buffer).greyscale().stats();
+    // The photo is drawn faded over white, so its brightness moves towards white by the same amount.
+    const photoLuminance = stats.channels[0].mean / 255;
+    const image = {
+      buffer,
+      href: `data:image/jpeg;base64,${buffer.toString("base64")}`,
+      luminance: 1 - BACK_PHOTO_OPACITY + BACK_PHOTO_OPACITY * photoLuminance
+    };
+    if (backImages.size >= BACK_IMAGE_CACHE_LIMIT) backImages.delete(backImages.keys().next().value);
+    backImages.set(settings.backPhotoFileId, image);
+    return image;
+  } catch (err) {
+    console.warn("Back photo load error", err?.message || err);
+    return null;
+  }
+}
+
+function getLuminance(color) {
+  const channels = [1, 3, 5].map((start) => {
+    const value = Number.parseInt(color.slice(start, start + 2), 16) / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+}
+
+function getContrast(a, b) {
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+function pickReadableColor(preferred, backgroundLuminances) {
+  const luminance = getLuminance(preferred);
+  if (backgroundLuminances.every((item) => getContrast(luminance, item) >= MIN_TEXT_CONTRAST)) return preferred;
+  const average = backgroundLuminances.reduce((sum, item) => sum + item, 0) / backgroundLuminances.length;
+  return getContrast(average, 0) >= getContrast(average, 1) ? "#111111" : "#ffffff";
+}
+
+function resolveBackTheme(settings) {
+  const themeKey = BACK_THEMES[settings.backTheme] ? settings.backTheme : "white";
+  const theme = BACK_THEMES[themeKey];
+  const image = theme.type === "photo" ? backImages.get(settings.backPhotoFileId) : null;
+  const luminances = image ? [image.luminance] : theme.colors.map(getLuminance);
+  return {
+    key: themeKey,
+    imageHref: image?.href || "",
+    textColor: pickReadableColor(settings.textColor, luminances),
+    lineColor: pickReadableColor(settings.lineColor, luminances)
+  };
+}
+
+// The editor gets this SVG for every theme from GET /api/puzzles/<pid>, so both sides look alike.
+function buildBackgroundSvg(themeKey, width, height, imageHref = "") {
+  const theme = BACK_THEMES[themeKey] || BACK_THEMES.white;
+  const [color, secondColor] = theme.colors;
+  if (theme.type === "gradient") {
+    return `<defs><linearGradient id="back-gradient" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${color}" /><stop offset="1" stop-color="${secondColor}" /></linearGradient></defs>
+  <rect width="${width}" height="${height}" fill="url(#back-gradient)" />`;
+  }
+  if (theme.type === "paper") {
+    return `<defs><filter id="back-paper" x="0" y="0" width="100%" height="100%" filterUnits="userSpaceOnUse"><feTurbulence type="fractalNoise" baseFrequency="0.9" numOctaves="3" seed="7" /><feColorMatrix type="matrix" values="0 0 0 0 0.45  0 0 0 0 0.38  0 0 0 0 0.28  0 0 0 0.35 0" /></filter></defs>
+  <rect width="${width}" height="${height}" fill="${color}" />
+  <rect width="${width}" height="${height}" filter="url(#back-paper)" />`;
+  }
+  if (theme.type === "photo" && imageHref) {
+    return `<rect width="${width}" height="${height}" fill="#ffffff" />
+  <image href="${imageHref}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice" opacity="${BACK_PHOTO_OPACITY}" />`;
+  }
+  return `<rect width="${width}" height="${height}" fill="${color}" />`;
+}
+
+function buildLineGroupAttributes(settings, color) {
+  const dash = settings.lineDash
+    ? ` stroke-dasharray="${fmt(settings.lineWidth * 4)} ${fmt(settings.lineWidth * 3)}" stroke-linecap="butt"`
+    : ` stroke-linecap="round"`;
+  return `fill="none" stroke="${color}" stroke-opacity="${settings.lineOpacity}" stroke-width="${settings.lineWidth}"${dash} stroke-linejoin="round"`;
+}
+
+function buildPuzzleSvg(width, height, puzzlePaths, settings = DEFAULT_SETTINGS, lineColors = null) {
+  // With auto-contrast every edge has its own colour; paths are grouped by it to keep the SVG small.
+  const groups = new Map();
+  puzzlePaths.forEach((pathDef, index) => {
+    const color = (settings.autoContrast && lineColors?.[index]) || settings.lineColor;
+    if (!groups.has(color)) groups.set(color, []);
+    groups.get(color).push(`<path d="${pathDef}" />`);
+  });
+  const content = Array.from(groups, ([color, paths]) => `<g ${buildLineGroupAttributes(settings, color)}>
+    ${paths.join("")}
+  </g>`).join("\n  ");
 
   return `<?xml version="1.0" encoding="UTF-8"?>
 <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
-  <g fill="none" stroke="${LINE_COLOR}" stroke-opacity="${LINE_OPACITY}" stroke-width="${LINE_WIDTH}" stroke-linecap="round" stroke-linejoin="round">
-    ${paths}
-  </g>
+  ${content}
 </svg>`;
 }
 
+async function computeLineColors(photoBuffer, edges) {
+  const { data, info } = await sharp(photoBuffer)
+    .greyscale()
+    .resize({ width: 512, height: 512, fit: "inside", withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const metadata = await sharp(photoBuffer).metadata();
+  const scaleX = info.width / metadata.width;
+  const scaleY = info.height / metadata.height;
+  const luminanceAt = (x, y) => {
+    const px = Math.min(info.width - 1, Math.max(0, Math.round(x * scaleX)));
+    const py = Math.min(info.height - 1, Math.max(0, Math.round(y * scaleY)));
+    return data[(py * info.width + px) * info.channels] / 255;
+  };
+
+  return [...edges.horizontal.flat(), ...edges.vertical.flat()].map((points) => {
+    let total = 0;
+    let samples = 0;
+    for (let i = 1; i < points.length; i += 1) {
+      const [x0, y0] = points[i - 1];
+      const [x1, y1] = points[i];
+      for (let t = 0; t < 1; t += 0.25) {
+        total += luminanceAt(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t);
+        samples += 1;
+      }
+    }
+    const luminance = samples ? total / samples : 1;
+    return luminance > CONTRAST_LUMINANCE_THRESHOLD ? CONTRAST_DARK : CONTRAST_LIGHT;
+  });
+}
+
 function escapeXml(value) {
   return value
     .replace(/&/g, "&amp;")
@@ -407,51 +1607,254 @@ function wrapText(text, maxChars, maxLines) {
   return { lines, truncated: false };
 }
 
-function measureTextWidth(text, fontSize) {
-  if (!textToSvg) return text.length * fontSize * 0.6;
-  const metrics = textToSvg.getMetrics(text, { fontSize, anchor: "left baseline" });
-  return metrics.width || 0;
+function getFont(fontId) {
+  const font = FONTS[fontId];
+  return font?.textToSvg ? font : FONTS[DEFAULT_FONT_ID];
 }
 
-function wrapTextByWidth(text, maxWidth, fontSize) {
-  const cleaned = text.replace(/\s+/g, " ").trim();
-  if (!cleaned) return { lines: [""], truncated: false };
+// Older editor builds send a CSS font-family instead of a registry id.
+function resolveFontId(fontId, fontFamily = "") {
+  if (Object.hasOwn(FONTS, fontId)) return fontId;
+  const family = String(fontFamily).toLowerCase();
+  if (/times|serif/.test(family) && !/sans-serif/.test(family)) return "serif";
+  return DEFAULT_FONT_ID;
+}
 
-  const words = cleaned.split(" ");
-  const lines = [];
-  let current = "";
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+const emojiSvgs = new Map();
+const bidi = bidiFactory();
 
-  for (const word of words) {
-    const next = current ? `${current} ${word}` : word;
-    if (measureTextWidth(next, fontSize) <= maxWidth) {
-      current = next;
-      continue;
+function mayContainEmoji(text) {
+  return /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u.test(text);
+}
+
+function getEmojiKey(segment) {
+  const codes = [...segment].map((char) => char.codePointAt(0).toString(16));
+  const full = codes.join("-");
+  if (EMOJI_FILES.has(full)) return full;
+  const bare = codes.filter((code) => code !== "fe0f").join("-");
+  return EMOJI_FILES.has(bare) ? bare : null;
+}
+
+function isEmojiSegment(segment, textToSvg) {
+  if (!mayContainEmoji(segment)) return false;
+  if (/\p{Emoji_Presentation}|[\ufe0f\u200d\u20e3]/u.test(segment) || [...segment].length > 1) return true;
+  // Text-style symbols such as ♥ or ™ stay letters when the font has them.
+  return !textToSvg || textToSvg.font.charToGlyph(segment).index === 0;
+}
+
+function getScriptFont(segment) {
+  const font = SCRIPT_FONTS.find((item) => item.pattern.test(segment));
+  if (!font) return null;
+  if (font.textToSvg === undefined) {
+    try {
+      font.textToSvg = TextToSVG.loadSync(font.path);
+    } catch (err) {
+      console.warn(`TextToSVG could not load ${font.file}.`, err?.message || err);
+      font.textToSvg = null;
     }
+  }
+  return font.textToSvg;
+}
 
-    if (current) {
-      lines.push(current);
-      current = "";
+function pickGlyphFont(segment, textToSvg) {
+  if (!textToSvg || textToSvg.font.charToGlyph(segment).index !== 0) return textToSvg;
+  return getScriptFont(segment) || textToSvg;
+}
+
+// Unicode bidi rule L2: from the highest level down to the lowest odd one, reverse every run at that level or above.
+function reorderClusters(text, clusters) {
+  const { levels } = bidi.getEmbeddingLevels(text);
+  const items = clusters.map(({ segment, index }) => {
+    const level = levels[index];
+    return { segment: (level % 2 && bidi.getMirroredCharacter(segment)) || segment, level };
+  });
+  const maxLevel = Math.max(...items.map((item) => item.level));
+  const minOddLevel = Math.min(...items.map((item) => item.level)) | 1;
+  for (let level = maxLevel; level >= minOddLevel; level -= 1) {
+    let start = -1;
+    for (let i = 0; i <= items.length; i += 1) {
+      if (i < items.length && items[i].level >= level) {
+        if (start < 0) start = i;
+      } else if (start >= 0) {
+        items.splice(start, i - start, ...items.slice(start, i).reverse());
+        start = -1;
+      }
     }
+  }
+  return items;
+}
 
-    if (measureTextWidth(word, fontSize) <= maxWidth) {
-      current = word;
-      continue;
+// Splits a line into runs in display order: emoji pictures and text runs, each with a font that has its glyphs.
+// Arabic is shaped into presentation forms first, so text-to-svg can draw every run left to right.
+function layoutLine(text, fontId) {
+  const { textToSvg } = getFont(fontId);
+  if (SIMPLE_TEXT_PATTERN.test(text)) return [{ text, textToSvg }];
+  const shaped = /[\u0600-\u06ff]/u.test(text) ? reshaper.ArabicShaper.convertArabic(text) : text;
+  const clusters = [...graphemeSegmenter.segment(shaped)];
+  const ordered = RTL_PATTERN.test(shaped) ? reorderClusters(shaped, clusters) : clusters;
+  const runs = [];
+  for (const { segment } of ordered) {
+    const emoji = isEmojiSegment(segment, textToSvg) ? getEmojiKey(segment) : null;
+    const font = emoji ? null : pickGlyphFont(segment, textToSvg);
+    const last = runs[runs.length - 1];
+    if (emoji) runs.push({ emoji });
+    else if (last && !last.emoji && last.textToSvg === font) last.text += segment;
+    else runs.push({ text: segment, textToSvg: font });
+  }
+  return runs;
+}
+
+function loadEmojiSvg(key) {
+  if (!emojiSvgs.has(key)) {
+    let body = "";
+    try {
+      body = fs.readFileSync(path.join(EMOJI_DIR, `${key}.svg`), "utf8").replace(/^[\s\S]*?<svg[^>]*>|<\/svg>\s*$/g, "");
+    } catch (err) {
+      console.warn(`Emoji ${key} could not be read.`, err?.message || err);
     }
+    emojiSvgs.set(key, body);
+  }
+  return emojiSvgs.get(key);
+}
+
+function measureRun(run, fontSize) {
+  if (run.emoji) return fontSize * EMOJI_ADVANCE;
+  if (!run.textToSvg) return run.text.length * fontSize * 0.6;
+  return run.textToSvg.getMetrics(run.text, { fontSize, anchor: "left baseline" }).width || 0;
+}
 
-    return { lines: lines.concat(word), truncated: true, reason: "word_too_long" };
+function measureTextWidth(text, fontSize, fontId = DEFAULT_FONT_ID) {
+  return layoutLine(text, fontId).reduce((width, run) => width + measureRun(run, fontSize), 0);
+}
+
+// Pieces between UAX #14 break opportunities: words with their trailing space, single CJK characters and so on.
+function getBreakSegments(text) {
+  const breaker = new LineBreaker(text);
+  const segments = [];
+  let last = 0;
+  let lineBreak = breaker.nextBreak();
+  while (lineBreak) {
+    segments.push(text.slice(last, lineBreak.position));
+    last = lineBreak.position;
+    lineBreak = breaker.nextBreak();
   }
+  return segments;
+}
 
-  if (current) lines.push(current);
+function hyphenateSegment(segment) {
+  const entry = HYPHENATORS.find((item) => item.pattern.test(segment));
+  if (!entry) return [segment];
+  return entry.hyphenator.hyphenateSync(segment, { hyphenChar: "\u00ad" }).split("\u00ad");
+}
+
+// Break segments, further split at hyphenation points; `hyphen` marks a break inside a word.
+function getLinePieces(text, hyphenate) {
+  const pieces = [];
+  for (const segment of getBreakSegments(text)) {
+    const parts = hyphenate ? hyphenateSegment(segment) : [segment];
+    parts.forEach((part, index) => pieces.push({ text: part, hyphen: index < parts.length - 1 }));
+  }
+  return pieces;
+}
+
+function joinPieces(pieces, start, end) {
+  const text = pieces
+    .slice(start, end)
+    .map((piece) => piece.text)
+    .join("")
+    .trimEnd();
+  return pieces[end - 1].hyphen ? `${text}-` : text;
+}
+
+// Minimum raggedness: as many lines as the greedy fill, with the least squared free space over all lines.
+function balanceLines(pieces, lineCount, maxWidth, measure) {
+  const penalty = (maxWidth * HYPHEN_PENALTY) ** 2;
+  let best = new Map([[0, { cost: 0, lines: [] }]]);
+  for (let k = 0; k < lineCount; k += 1) {
+    const next = new Map();
+    for (const [start, state] of best) {
+      for (let end = start + 1; end <= pieces.length; end += 1) {
+        const width = measure(start, end);
+        if (width > maxWidth) break;
+        const cost = state.cost + (maxWidth - width) ** 2 + (pieces[end - 1].hyphen ? penalty : 0);
+        if (!next.has(end) || next.get(end).cost > cost) {
+          next.set(end, { cost, lines: state.lines.concat(joinPieces(pieces, start, end)) });
+        }
+      }
+    }
+    best = next;
+  }
+  return best.get(pieces.length)?.lines || null;
+}
+
+function wrapTextByWidth(text, maxWidth, fontSize, textOptions = null) {
+  const cleaned = text.replace(/\s+/g, " ").trim();
+  if (!cleaned) return { lines: [""], truncated: false };
+
+  const pieces = getLinePieces(cleaned, textOptions?.hyphenate);
+  const widths = new Map();
+  const measure = (start, end) => {
+    const key = `${start}:${end}`;
+    if (!widths.has(key)) widths.set(key, measureTextWidth(joinPieces(pieces, start, end), fontSize, textOptions?.fontId));
+    return widths.get(key);
+  };
+  const lines = [];
+  let start = 0;
+
+  while (start < pieces.length) {
+    if (measure(start, start + 1) > maxWidth) {
+      let end = start + 1;
+      while (end < pieces.length && pieces[end - 1].hyphen) end += 1;
+      return { lines: lines.concat(joinPieces(pieces, start, end)), truncated: true, reason: "word_too_long" };
+    }
+    let end = start + 1;
+    while (end < pieces.length && measure(start, end + 1) <= maxWidth) end += 1;
+    lines.push(joinPieces(pieces, start, end));
+    start = end;
+  }
+
+  if (textOptions?.wrap === "balanced" && lines.length > 1) {
+    return { lines: balanceLines(pieces, lines.length, maxWidth, measure) || lines, truncated: false };
+  }
   return { lines, truncated: false };
 }
 
-function fitTextToCell(text, cellWidth, cellHeight, paddingOverride, fontScale = 1) {
+function ptToPx(pt, dpi) {
+  return Math.round((pt / 72) * dpi);
+}
+
+function getTextOptions(session) {
+  const physical = session?.physicalSize;
+  const settings = session?.settings || DEFAULT_SETTINGS;
+  const layout = {
+    fontId: settings.fontId,
+    hyphenate: settings.hyphenate,
+    wrap: settings.textWrap,
+    justify: settings.justify,
+    smallFacts: (session?.rewrites || []).flatMap((item, index) => (item?.choice === "keep" ? [index] : []))
+  };
+  if (!physical) return { minFont: MIN_FONT_SIZE, maxFont: MAX_FONT_SIZE, ...layout };
+  // In physical mode the bounds are printed sizes, so the text never prints smaller than MIN_FONT_PT.
+  const minPt = Number.isFinite(MIN_FONT_PT) ? MIN_FONT_PT : 8;
+  const maxPt = Number.isFinite(MAX_FONT_PT) ? Math.max(minPt, MAX_FONT_PT) : 16;
+  return { minFont: ptToPx(minPt, physical.dpi), maxFont: ptToPx(maxPt, physical.dpi), ...layout };
+}
+
+// Facts the user chose to keep whole instead of shortening may go below the usual minimum font.
+function getFactTextOptions(textOptions, index) {
+  return textOptions?.smallFacts?.includes(index) ? { ...textOptions, small: true } : textOptions;
+}
+
+function fitTextToCell(text, cellWidth, cellHeight, paddingOverride, fontScale = 1, textOptions = null) {
   const minSide = Math.min(cellWidth, cellHeight);
   const padding = Number.isFinite(paddingOverride) ? paddingOverride : Math.max(8, Math.floor(minSide * 0.08));
-  const minFont = Number.isFinite(MIN_FONT_SIZE) ? MIN_FONT_SIZE : 12;
-  const maxFont = Number.isFinite(MAX_FONT_SIZE) ? MAX_FONT_SIZE : 28;
+  const minFont = Number.isFinite(textOptions?.minFont) ? textOptions.minFont : Number.isFinite(MIN_FONT_SIZE) ? MIN_FONT_SIZE : 12;
+  const maxFont = Number.isFinite(textOptions?.maxFont) ? textOptions.maxFont : Number.isFinite(MAX_FONT_SIZE) ? MAX_FONT_SIZE : 28;
   const scale = Number.isFinite(fontScale) ? fontScale : 1;
-  const scaledMin = Math.max(10, minFont);
+  const scaledMin = textOptions?.small
+    ? Math.max(KEEP_FONT_FLOOR, Math.floor(minFont * KEEP_FONT_RATIO))
+    : Math.max(10, minFont);
   const scaledMax = Math.max(scaledMin, Math.floor(maxFont * scale));
   let fontSize = Math.min(scaledMax, Math.max(scaledMin, Math.floor(minSide * 0.2 * scale)));
   let attempt = 0;
@@ -462,9 +1865,10 @@ function fitTextToCell(text, cellWidth, cellHeight, paddingOverride, fontScale =
     const heightLines = Math.max(1, Math.floor((cellHeight - padding * 2) / lineHeight));
     const maxLines = Math.max(1, Math.min(heightLines, MAX_TEXT_LINES));
     const maxWidth = Math.max(10, cellWidth - padding * 2);
-    const wrapped = wrapTextByWidth(text, maxWidth, fontSize);
+    const wrapped = wrapTextByWidth(text, maxWidth, fontSize, textOptions);
     let lines = wrapped.lines;
-    const truncated = lines.length > maxLines;
+    // A word wider than the cell does not fit either, however few lines there are.
+    const truncated = wrapped.truncated || lines.length > maxLines;
     if (truncated) {
       lines = lines.slice(0, maxLines);
     }
@@ -495,14 +1899,10 @@ function fitTextToCell(text, cellWidth, cellHeight, paddingOverride, fontScale =
 function sanitizeFact(raw) {
   let text = String(raw || "");
   try {
-    text = text.replace(/\p{Extended_Pictographic}/gu, "");
-  } catch (err) {
-    text = text.replace(/[\u{1F300}-\u{1FAFF}]/gu, "");
-  }
-  try {
-    text = text.replace(/[^\p{L}\p{N}\s.,;:!?'"()\-]/gu, "");
+    // Emoji sequences keep their joiners, variation selectors and flag tags.
+    text = text.replace(/[^\p{L}\p{N}\p{P}\p{S}\p{M}\s\u200d\u{E0020}-\u{E007F}]/gu, "");
   } catch (err) {
-    text = text.replace(/[^\w\s.,;:!?'"()\-]/g, "");
+    text = text.replace(/[\u0000-\u001f\u007f]/g, "");
   }
   return text.replace(/\s+/g, " ").trim();
 }
@@ -571,18 +1971,9 @@ function splitSentences(text) {
     .filter(Boolean);
 }
 
-function autoRewriteFact(text, tryFit) {
-  if (tryFit(text).ok) return { text, changed: false, fit: tryFit(text).fit };
-
-  const sentences = splitSentences(text);
-  for (const sentence of sentences) {
-    if (tryFit(sentence).ok) return { text: sentence, changed: true, fit: tryFit(sentence).fit };
-  }
-
-  const clauses = text.split(/[,:;]+/).map((part) => part.trim()).filter(Boolean);
-  for (const clause of clauses) {
-    if (tryFit(clause).ok) return { text: clause, changed: true, fit: tryFit(clause).fit };
-  }
+// Every shortened version that fits: whole sentences, then clauses, then the text without stopwords.
+function getRewriteCandidates(text, tryFit) {
+  const candidates = [...splitSentences(text), ...text.split(/[,:;]+/).map((part) => part.trim())];
 
   const words = text.split(/\s+/).filter(Boolean);
   const filtered = words.filter((word) => {
@@ -591,13 +1982,21 @@ function autoRewriteFact(text, tryFit) {
   });
   if (filtered.length > 0) {
     const candidate = filtered.join(" ");
-    const ratio = candidate.length / Math.max(1, text.length);
-    if (ratio >= 0.6 && tryFit(candidate).ok) {
-      return { text: candidate, changed: true, fit: tryFit(candidate).fit };
-    }
+    if (candidate.length / Math.max(1, text.length) >= 0.6) candidates.push(candidate);
   }
 
-  return { text, changed: false, fit: tryFit(text).fit, failed: true };
+  return [...new Set(candidates)].filter((candidate) => candidate && candidate !== text && tryFit(candidate).ok);
+}
+
+function autoRewriteFact(text, tryFit) {
+  const initial = tryFit(text);
+  if (initial.ok) return { text, changed: false, fit: initial.fit, candidates: [] };
+
+  const candidates = getRewriteCandidates(text, tryFit);
+  if (candidates.length > 0) {
+    return { text: candidates[0], changed: true, fit: tryFit(candidates[0]).fit, candidates };
+  }
+  return { text, changed: false, fit: initial.fit, candidates, failed: true };
 }
 
 function influenceFactor(position, center, halfSpan) {
@@ -607,9 +2006,23 @@ function influenceFactor(position, center, halfSpan) {
   return v * v;
 }
 
+function getCellBounds(row, col, cellWidth, cellHeight, edgeMeta) {
+  const corners = edgeMeta?.corners;
+  if (!corners) {
+    return { left: col * cellWidth, top: row * cellHeight, width: cellWidth, height: cellHeight };
+  }
+  // Irregular cells are quadrilaterals; use the largest axis-aligned box inside their corners.
+  const left = Math.max(corners[row][col][0], corners[row + 1][col][0]);
+  const right = Math.min(corners[row][col + 1][0], corners[row + 1][col + 1][0]);
+  const top = Math.max(corners[row][col][1], corners[row][col + 1][1]);
+  const bottom = Math.min(corners[row + 1][col][1], corners[row + 1][col + 1][1]);
+  return { left, top, width: right - left, height: bottom - top };
+}
+
 function getSafeBox(row, col, cellWidth, cellHeight, rows, cols, edgeMeta, basePadding, centerX, centerY) {
-  const leftBase = col * cellWidth;
-  const topBase = row * cellHeight;
+  const bounds = getCellBounds(row, col, cellWidth, cellHeight, edgeMeta);
+  const leftBase = bounds.left;
+  const topBase = bounds.top;
   const safePadding = Number.isFinite(basePadding)
     ? basePadding
     : Math.max(10, Math.floor(Math.min(cellWidth, cellHeight) * 0.14));
@@ -621,45 +2034,45 @@ function getSafeBox(row, col, cellWidth, cellHeight, rows, cols, edgeMeta, baseP
   let leftInset = safePadding;
   let rightInset = safePadding;
 
-  const cellCenterX = leftBase + cellWidth / 2;
-  const cellCenterY = topBase + cellHeight / 2;
-  const influenceX = influenceFactor(centerX ?? cellCenterX, cellCenterX, cellWidth / 2);
-  const influenceY = influenceFactor(centerY ?? cellCenterY, cellCenterY, cellHeight / 2);
+  const cellCenterX = leftBase + bounds.width / 2;
+  const cellCenterY = topBase + bounds.height / 2;
+  const influenceX = influenceFactor(centerX ?? cellCenterX, cellCenterX, bounds.width / 2);
+  const influenceY = influenceFactor(centerY ?? cellCenterY, cellCenterY, bounds.height / 2);
 
   if (edgeMeta?.horizontal) {
     if (row > 0) {
       const edge = edgeMeta.horizontal[row]?.[col];
-      if (edge && edge.sign > 0) topInset += Math.min(edge.ampPx, maxInsetY) * influenceX;
+      if (edge && (edge.sign > 0 || edge.twoSided)) topInset += Math.min(edge.ampPx, maxInsetY) * influenceX;
     }
     if (row < rows - 1) {
       const edge = edgeMeta.horizontal[row + 1]?.[col];
-      if (edge && edge.sign < 0) bottomInset += Math.min(edge.ampPx, maxInsetY) * influenceX;
+      if (edge && (edge.sign < 0 || edge.twoSided)) bottomInset += Math.min(edge.ampPx, maxInsetY) * influenceX;
     }
   }
 
   if (edgeMeta?.vertical) {
     if (col > 0) {
       const edge = edgeMeta.vertical[col]?.[row];
-      if (edge && edge.sign > 0) leftInset += Math.min(edge.ampPx, maxInsetX) * influenceY;
+      if (edge && (edge.sign > 0 || edge.twoSided)) leftInset += Math.min(edge.ampPx, maxInsetX) * influenceY;
     }
     if (col < cols - 1) {
       const edge = edgeMeta.vertical[col + 1]?.[row];
-      if (edge && edge.sign < 0) rightInset += Math.min(edge.ampPx, maxInsetX) * influenceY;
+      if (edge && (edge.sign < 0 || edge.twoSided)) rightInset += Math.min(edge.ampPx, maxInsetX) * influenceY;
     }
   }
 
   let left = leftBase + leftInset;
-  let right = leftBase + cellWidth - rightInset;
+  let right = leftBase + bounds.width - rightInset;
   let top = topBase + topInset;
-  let bottom = topBase + cellHeight - bottomInset;
+  let bottom = topBase + bounds.height - bottomInset;
 
   if (right - left < 10) {
-    left = leftBase + cellWidth * 0.1;
-    right = leftBase + cellWidth * 0.9;
+    left = leftBase + bounds.width * 0.1;
+    right = leftBase + bounds.width * 0.9;
   }
   if (bottom - top < 10) {
-    top = topBase + cellHeight * 0.1;
-    bottom = topBase + cellHeight * 0.9;
+    top = topBase + bounds.height * 0.1;
+    bottom = topBase + bounds.height * 0.9;
   }
 
   const width = right - left;
@@ -680,23 +2093,22 @@ function getTextPadding(box) {
   return Math.max(4, Math.floor(Math.min(box.width, box.height) * 0.08));
 }
 
-function findBestPlacement(text, row, col, cellWidth, cellHeight, rows, cols, edgeMeta, basePadding, fontScale) {
+function findBestPlacement(text, row, col, cellWidth, cellHeight, rows, cols, edgeMeta, basePadding, fontScale, textOptions = null) {
   const offsets = [0.25, 0.4, 0.5, 0.6, 0.75];
-  const leftBase = col * cellWidth;
-  const topBase = row * cellHeight;
+  const bounds = getCellBounds(row, col, cellWidth, cellHeight, edgeMeta);
   let best = null;
 
   for (const ox of offsets) {
     for (const oy of offsets) {
-      const centerX = leftBase + cellWidth * ox;
-      const centerY = topBase + cellHeight * oy;
+      const centerX = bounds.left + bounds.width * ox;
+      const centerY = bounds.top + bounds.height * oy;
       const box = getSafeBox(row, col, cellWidth, cellHeight, rows, cols, edgeMeta, basePadding, centerX, centerY);
       const availWidth = Math.max(10, 2 * Math.min(centerX - box.left, box.right - centerX));
       const availHeight = Math.max(10, 2 * Math.min(centerY - box.top, box.bottom - centerY));
       if (availWidth <= 10 || availHeight <= 10) continue;
 
       const textPadding = getTextPadding({ width: availWidth, height: availHeight });
-      const fit = fitTextToCell(text, availWidth, availHeight, textPadding, fontScale);
+      const fit = fitTextToCell(text, availWidth, availHeight, textPadding, fontScale, textOptions);
       const score = fit.truncated ? fit.fontSize : fit.fontSize + 100;
       const area = availWidth * availHeight;
 
@@ -722,7 +2134,7 @@ function findBestPlacement(text, row, col, cellWidth, cellHeight, rows, cols, ed
   if (best) return best;
   const fallbackBox = getSafeBox(row, col, cellWidth, cellHeight, rows, cols, edgeMeta, basePadding);
   const padding = getTextPadding(fallbackBox);
-  const fit = fitTextToCell(text, fallbackBox.width, fallbackBox.height, padding, fontScale);
+  const fit = fitTextToCell(text, fallbackBox.width, fallbackBox.height, padding, fontScale, textOptions);
   return {
     centerX: fallbackBox.centerX,
     centerY: fallbackBox.centerY,
@@ -735,19 +2147,226 @@ function findBestPlacement(text, row, col, cellWidth, cellHeight, rows, cols, ed
   };
 }
 
-function mirrorFacts(facts, rows, cols) {
-  const mirrored = new Array(facts.length);
+// Where the fact of piece `index` lands on the back: always in the mirrored cell (r, cols - 1 - c).
+// With `mirror` the grid is drawn flipped, so that cell is the flipped piece (r, c): the text is fitted
+// into that piece's outline and its position flipped. Otherwise it is fitted into the cell as drawn.
+function findFactPlacement(text, index, width, cellWidth, cellHeight, rows, cols, edgeMeta, basePadding, fontScale, textOptions, mirror = false) {
+  const row = Math.floor(index / cols);
+  const col = index % cols;
+  const placement = findBestPlacement(
+    text,
+    row,
+    mirror ? col : cols - 1 - col,
+    cellWidth,
+    cellHeight,
+    rows,
+    cols,
+    edgeMeta,
+    basePadding,
+    fontScale,
+    getFactTextOptions(textOptions, index)
+  );
+  if (!mirror) return placement;
+  return { ...placement, centerX: width - placement.centerX };
+}
+
+function getTextBlockBox(lines, centerX, centerY, fontSize, totalHeight, rotation, fontId) {
+  const halfWidth = Math.max(...lines.map((line) => measureTextWidth(line, fontSize, fontId))) / 2;
+  const halfHeight = totalHeight / 2 + fontSize / 2;
+  // Rotated blocks are approximated by the circle around them.
+  const radius = rotation ? Math.hypot(halfWidth, halfHeight) : 0;
+  const dx = rotation ? radius : halfWidth;
+  const dy = rotation ? radius : halfHeight;
+  return { left: centerX - dx, right: centerX + dx, top: centerY - dy, bottom: centerY + dy };
+}
+
+function getBoxGap(a, b) {
+  const dx = Math.max(0, a.left - b.right, b.left - a.right);
+  const dy = Math.max(0, a.top - b.bottom, b.top - a.bottom);
+  return Math.hypot(dx, dy);
+}
+
+function formatPieceLabel(row, col, cols, mode) {
+  if (mode !== "code") return String(row * cols + col + 1);
+  let letters = "";
+  let index = row;
+  do {
+    letters = String.fromCharCode(65 + (index % 26)) + letters;
+    index = Math.floor(index / 26) - 1;
+  } while (index >= 0);
+  return `${letters}${col + 1}`;
+}
+
+function renderTextLine(text, x, y, fontSize, fill, fontId, justifyWidth = 0) {
+  const { textToSvg } = getFont(fontId);
+  const runs = layoutLine(text, fontId);
+  const naturalWidth = runs.reduce((width, run) => width + measureRun(run, fontSize), 0);
+  const spaces = justifyWidth ? (text.match(/ /g) || []).length : 0;
+  // Justified lines get the missing width spread over their spaces.
+  const extra = spaces ? Math.max(0, justifyWidth - naturalWidth) / spaces : 0;
+  if (runs.length === 1 && !runs[0].emoji && !extra) {
+    if (runs[0].textToSvg) {
+      return runs[0].textToSvg.getPath(runs[0].text, {
+        x,
+        y,
+        fontSize,
+        anchor: "center middle",
+        attributes: { fill }
+      });
+    }
+    return `<text font-size="${fontSize}" text-anchor="middle" fill="${fill}" font-family="${FONT_FAMILY}" x="${x.toFixed(
+      2
+    )}" y="${y.toFixed(2)}">${escapeXml(text)}</text>`;
+  }
+
+  // Mixed lines are laid out run by run from the left edge of the centred line, on the main font's baseline,
+  // so fallback fonts with other ascenders do not jump up or down.
+  const advance = fontSize * EMOJI_ADVANCE;
+  const baseline = textToSvg ? textToSvg.getMetrics("", { y, fontSize, anchor: "left middle" }).baseline : y;
+  let cursor = x - (naturalWidth + extra * spaces) / 2;
+  return runs
+    .flatMap((run) => (run.emoji || !extra ? [run] : run.text.split(/( )/).map((part) => ({ ...run, text: part }))))
+    .map((run) => {
+      if (run.emoji) {
+        const left = cursor + (advance - fontSize) / 2;
+        cursor += advance;
+        return `<g transform="translate(${fmt(left)} ${fmt(y - fontSize / 2)}) scale(${fmt(
+          fontSize / EMOJI_VIEWBOX
+        )})">${loadEmojiSvg(run.emoji)}</g>`;
+      }
+      const left = cursor;
+      cursor += measureRun(run, fontSize) + (run.text === " " ? extra : 0);
+      if (!run.text.trim()) return "";
+      if (run.textToSvg) {
+        return run.textToSvg.getPath(run.text, { x: left, y: baseline, fontSize, anchor: "left baseline", attributes: { fill } });
+      }
+      return `<text font-size="${fontSize}" fill="${fill}" font-family="${FONT_FAMILY}" x="${fmt(left)}" y="${fmt(
+        y
+      )}" xml:space="preserve">${escapeXml(run.text)}</text>`;
+    })
+    .join("");
+}
+
+function renderLabel(label, x, y, fontSize, fill, opacity = 1) {
+  const { textToSvg } = getFont(DEFAULT_FONT_ID);
+  if (textToSvg) {
+    return textToSvg.getPath(label, {
+      x,
+      y,
+      fontSize,
+      anchor: "center middle",
+      attributes: { fill, "fill-opacity": opacity }
+    });
+  }
+  return `<text font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle" fill="${fill}" fill-opacity="${opacity}" font-family="${FONT_FAMILY}" x="${fmt(
+    x
+  )}" y="${fmt(y)}">${escapeXml(label)}</text>`;
+}
+
+function buildPieceNumberBlocks(width, height, rows, cols, edgeMeta, textBoxes, mirror, textOptions, settings) {
+  const cellWidth = width / cols;
+  const cellHeight = height / rows;
+  const minFont = Number.isFinite(textOptions?.minFont) ? textOptions.minFont : MIN_FONT_SIZE;
+  const fontSize = Math.max(minFont, Math.round(Math.min(cellWidth, cellHeight) * 0.1));
+  const padding = Math.max(4, Math.floor(Math.min(cellWidth, cellHeight) * 0.07));
+  const blocks = [];
+
+  for (let r = 0; r < rows; r += 1) {
+    for (let pieceCol = 0; pieceCol < cols; pieceCol += 1) {
+      const label = formatPieceLabel(r, pieceCol, cols, settings.pieceNumbers);
+      const labelWidth = measureTextWidth(label, fontSize);
+      // Like the facts, the label sits in the mirrored cell; see findFactPlacement.
+      const cellCol = mirror ? pieceCol : cols - 1 - pieceCol;
+      const bounds = getCellBounds(r, cellCol, cellWidth, cellHeight, edgeMeta);
+      let best = null;
+
+      // Corners are tried top-left first as seen on the back, then the one farthest from the facts wins.
+      for (const [backX, backY] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        const cornerX = mirror ? 1 - backX : backX;
+        // The safe box is measured at the corner itself, where the tabs push the outline in the least.
+        const box = getSafeBox(
+          r,
+          cellCol,
+          cellWidth,
+          cellHeight,
+          rows,
+          cols,
+          edgeMeta,
+          padding,
+          bounds.left + bounds.width * cornerX,
+          bounds.top + bounds.height * backY
+        );
+        const frontX = cornerX ? box.right - labelWidth / 2 : box.left + labelWidth / 2;
+        const centerX = mirror ? width - frontX : frontX;
+        const centerY = backY ? box.bottom - fontSize / 2 : box.top + fontSize / 2;
+        const rect = {
+          left: centerX - labelWidth / 2,
+          right: centerX + labelWidth / 2,
+          top: centerY - fontSize / 2,
+          bottom: centerY + fontSize / 2
+        };
+        const gap = Math.min(Infinity, ...textBoxes.map((textBox) => getBoxGap(rect, textBox)));
+        if (!best || gap > best.gap) best = { gap, centerX, centerY };
+      }
+
+      blocks.push(renderLabel(label, best.centerX, best.centerY, fontSize, settings.textColor, 0.7));
+    }
+  }
+  return blocks;
+}
+
+function buildAssemblyKeySvg(width, height, rows, cols, puzzlePaths, edgeMeta, settings, outWidth) {
+  const cellWidth = width / cols;
+  const cellHeight = height / rows;
+  // Sizes are picked in output pixels and converted back, the SVG is scaled down as a whole.
+  const unit = width / outWidth;
+  const fontSize = Math.min(36, Math.max(9, (Math.min(cellWidth, cellHeight) / unit) * 0.28)) * unit;
+  const mode = settings.pieceNumbers === "off" ? "number" : settings.pieceNumbers;
+  const badges = [];
+
   for (let r = 0; r < rows; r += 1) {
     for (let c = 0; c < cols; c += 1) {
-      const index = r * cols + c;
-      const mirrorIndex = r * cols + (cols - 1 - c);
-      mirrored[mirrorIndex] = facts[index] || "";
+      const label = formatPieceLabel(r, c, cols, mode);
+      const box = getSafeBox(r, c, cellWidth, cellHeight, rows, cols, edgeMeta);
+      const badgeWidth = measureTextWidth(label, fontSize) + fontSize * 0.8;
+      const badgeHeight = fontSize * 1.4;
+      badges.push(
+        `<rect x="${fmt(box.centerX - badgeWidth / 2)}" y="${fmt(box.centerY - badgeHeight / 2)}" width="${fmt(
+          badgeWidth
+        )}" height="${fmt(badgeHeight)}" rx="${fmt(badgeHeight / 2)}" fill="#ffffff" fill-opacity="0.85" />`,
+        renderLabel(label, box.centerX, box.centerY, fontSize, "#111111")
+      );
     }
   }
-  return mirrored;
+
+  const paths = puzzlePaths.map((pathDef) => `<path d="${pathDef}" />`).join("");
+  const fontStyle = getFont(DEFAULT_FONT_ID).textToSvg ? "" : `<style>${FONT_STYLE}</style>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  ${fontStyle}
+  <g fill="none" stroke="#ffffff" stroke-opacity="0.9" stroke-width="${fmt(unit * 1.5)}" stroke-linejoin="round">
+    ${paths}
+  </g>
+  ${badges.join("\n  ")}
+</svg>`;
 }
 
-function buildBackSvg(width, height, rows, cols, facts, puzzlePaths, edgeMeta, fontScale = 1, placements = null, mirror = false) {
+function buildBackSvg(
+  width,
+  height,
+  rows,
+  cols,
+  facts,
+  puzzlePaths,
+  edgeMeta,
+  fontScale = 1,
+  placements = null,
+  mirror = false,
+  textOptions = null,
+  settings = DEFAULT_SETTINGS
+) {
+  const theme = resolveBackTheme(settings);
+  const style = { ...settings, textColor: theme.textColor, lineColor: theme.lineColor };
   const linesRaw = (puzzlePaths || buildPuzzleData(width, height, rows, cols).paths)
     .map((pathDef) => `<path d="${pathDef}" />`)
     .join("");
@@ -758,12 +2377,12 @@ function buildBackSvg(width, height, rows, cols, facts, puzzlePaths, edgeMeta, f
   const cellHeight = height / rows;
   const basePadding = Math.max(10, Math.floor(Math.min(cellWidth, cellHeight) * 0.14));
   const textBlocks = [];
+  const textBoxes = [];
 
   if (placements && placements.length > 0) {
     for (const item of placements) {
-      const cleanText = sanitizeFact(item.text || "");
-      if (!cleanText) continue;
-      const lines = cleanText.split(/\n+/).map((line) => line.trim()).filter(Boolean);
+      // Line breaks come from the editor, so every line is cleaned on its own.
+      const lines = String(item.text || "").split(/\n+/).map(sanitizeFact).filter(Boolean);
       if (lines.length === 0) continue;
 
       const fontSize = Number(item.fontSize || 16);
@@ -773,22 +2392,12 @@ function buildBackSvg(width, height, rows, cols, facts, puzzlePaths, edgeMeta, f
       const rotation = Number(item.rotation || 0);
       const totalHeight = (lines.length - 1) * lineHeight;
       const startY = centerY - totalHeight / 2;
+      const fontId = item.fontId || DEFAULT_FONT_ID;
+      textBoxes.push(getTextBlockBox(lines, centerX, centerY, fontSize, totalHeight, rotation, fontId));
 
-      const paths = lines.map((line, idx) => {
-        const y = startY + idx * lineHeight;
-        if (textToSvg) {
-          return textToSvg.getPath(line, {
-            x: centerX,
-            y,
-            fontSize,
-            anchor: "center middle",
-            attributes: { fill: "#111" }
-          });
-        }
-        return `<text font-size="${fontSize}" text-anchor="middle" fill="#111" font-family="${FONT_FAMILY}" x="${centerX.toFixed(
-          2
-        )}" y="${y.toFixed(2)}">${escapeXml(line)}</text>`;
-      });
+      const paths = lines.map((line, idx) =>
+        renderTextLine(line, centerX, startY + idx * lineHeight, fontSize, style.textColor, fontId)
+      );
 
       const block = paths.join("\n");
       if (rotation) {
@@ -800,96 +2409,448 @@ function buildBackSvg(width, height, rows, cols, facts, puzzlePaths, edgeMeta, f
       }
     }
   } else {
-    const mirrored = mirrorFacts(facts, rows, cols);
-    for (let r = 0; r < rows; r += 1) {
-      for (let c = 0; c < cols; c += 1) {
-        const index = r * cols + c;
-        const text = mirrored[index] || "";
-        if (!text) continue;
-
-        const placement = findBestPlacement(
-          text,
-          r,
-          c,
-          cellWidth,
-          cellHeight,
-          rows,
-          cols,
-          edgeMeta,
-          basePadding,
-          fontScale
-        );
-        const { lines: wrappedLines, fontSize, lineHeight } = placement.fit;
-        const centerX = placement.centerX;
-        const centerY = placement.centerY;
-
-        const totalHeight = (wrappedLines.length - 1) * lineHeight;
-        const startY = centerY - totalHeight / 2;
-
-        const paths = wrappedLines.map((line, idx) => {
-          const y = startY + idx * lineHeight;
-          if (textToSvg) {
-            return textToSvg.getPath(line, {
-              x: centerX,
-              y,
-              fontSize,
-              anchor: "center middle",
-              attributes: { fill: "#111" }
-            });
-          }
-          return `<text font-size="${fontSize}" text-anchor="middle" fill="#111" font-family="${FONT_FAMILY}" x="${centerX.toFixed(
-            2
-          )}" y="${y.toFixed(2)}">${escapeXml(line)}</text>`;
-        });
+    for (let index = 0; index < Math.min(facts.length, rows * cols); index += 1) {
+      const text = facts[index];
+      if (!text) continue;
+
+      const placement = findFactPlacement(
+        text,
+        index,
+        width,
+        cellWidth,
+        cellHeight,
+        rows,
+        cols,
+        edgeMeta,
+        basePadding,
+        fontScale,
+        textOptions,
+        mirror
+      );
+      const { lines: wrappedLines, fontSize, lineHeight } = placement.fit;
+      const { centerX, centerY } = placement;
 
-        textBlocks.push(paths.join("\n"));
-      }
+      const totalHeight = (wrappedLines.length - 1) * lineHeight;
+      const startY = centerY - totalHeight / 2;
+      textBoxes.push(getTextBlockBox(wrappedLines, centerX, centerY, fontSize, totalHeight, 0, textOptions?.fontId));
+
+      // Justified blocks keep their widest line and stretch the others to it, except the last one.
+      const blockWidth = textOptions?.justify
+        ? Math.max(...wrappedLines.map((line) => measureTextWidth(line, fontSize, textOptions.fontId)))
+        : 0;
+      const paths = wrappedLines.map((line, idx) =>
+        renderTextLine(
+          line,
+          centerX,
+          startY + idx * lineHeight,
+          fontSize,
+          style.textColor,
+          textOptions?.fontId,
+          idx < wrappedLines.length - 1 ? blockWidth : 0
+        )
+      );
+
+      textBlocks.push(paths.join("\n"));
     }
   }
 
-  const fontStyle = textToSvg ? "" : `<style>${FONT_STYLE}</style>`;
+  if (style.pieceNumbers !== "off") {
+    textBlocks.push(...buildPieceNumberBlocks(width, height, rows, cols, edgeMeta, textBoxes, mirror, textOptions, style));
+  }
+
+  const fontStyle = getFont(DEFAULT_FONT_ID).textToSvg ? "" : `<style>${FONT_STYLE}</style>`;
 
   return `<?xml version="1.0" encoding="UTF-8"?>
 <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
   ${fontStyle}
-  <rect width="100%" height="100%" fill="#ffffff" />
-  <g fill="none" stroke="${LINE_COLOR}" stroke-opacity="${LINE_OPACITY}" stroke-width="${LINE_WIDTH}" stroke-linecap="round" stroke-linejoin="round">
+  ${buildBackgroundSvg(theme.key, width, height, theme.imageHref)}
+  <g ${buildLineGroupAttributes(style, style.lineColor)}>
     ${lines}
   </g>
   ${textBlocks.join("\n  ")}
 </svg>`;
 }
 
-async function generateFrontImage(ctx, session) {
-  const fileLink = await ctx.telegram.getFileLink(session.photoFileId);
+async function loadNormalizedPhoto(telegram, fileId, printFormat = null, framing = null) {
+  const fileLink = await telegram.getFileLink(fileId);
   const photoBuffer = await downloadFile(fileLink.href || String(fileLink));
-  const { buffer, width, height } = await normalizePhoto(photoBuffer);
-  const puzzleData = buildPuzzleData(width, height, session.rows, session.cols, session.seed);
-  session.puzzlePaths = puzzleData.paths;
-  session.edgeMeta = puzzleData.edgeMeta;
-  const gridSvg = buildPuzzleSvg(width, height, puzzleData.paths);
-
-  const frontBuffer = await sharp(buffer)
-    .composite([{ input: Buffer.from(gridSvg), blend: "over" }])
-    .png()
-    .toBuffer();
-
-  return { buffer: frontBuffer, width, height };
+  return normalizePhoto(photoBuffer, printFormat, framing);
 }
 
-async function generateBackImage(session, placements = null, mirror = false) {
-  const svg = buildBackSvg(
-    session.width,
-    session.height,
-    session.rows,
-    session.cols,
+function getImageSource(message) {
+  if (message.photo?.length) {
+    const largest = message.photo[message.photo.length - 1];
+    return { kind: "photo", fileId: largest.file_id, width: largest.width || null, height: largest.height || null };
+  }
+  if (message.sticker) {
+    const { sticker } = message;
+    if (sticker.is_animated || sticker.is_video) {
+      return { error: "Анимированные и видео‑стикеры не подходят. Пришли обычный стикер или фото." };
+    }
+    return { kind: "sticker", fileId: sticker.file_id, width: sticker.width || null, height: sticker.height || null };
+  }
+  if (message.document) {
+    const { document } = message;
+    const mimeType = (document.mime_type || "").toLowerCase();
+    if (!mimeType.startsWith("image/")) {
+      return { error: "Это не картинка. Пришли фото или изображение файлом: JPEG, PNG, WebP, TIFF или HEIC." };
+    }
+    if (!IMAGE_MIME_TYPES.includes(mimeType)) {
+      return { error: `Формат ${mimeType} не подходит. Пришли JPEG, PNG, WebP, TIFF или HEIC.` };
+    }
+    if (document.file_size > MAX_DOWNLOAD_BYTES) {
+      return {
+        error: `Файл больше ${MAX_DOWNLOAD_BYTES / 1024 / 1024} МБ — Telegram не даёт ботам скачивать такие. Сожми его или пришли как обычное фото.`
+      };
+    }
+    // Documents carry no dimensions, they are read from the file itself.
+    return { kind: "document", fileId: document.file_id, width: null, height: null };
+  }
+  return { error: "Не вижу фото. Пришли картинку ещё раз." };
+}
+
+function getFactsFileType(document) {
+  const extension = path.extname(document.file_name || "").slice(1).toLowerCase();
+  if (FACTS_FILE_TYPES[extension]) return extension;
+  const mimeType = (document.mime_type || "").toLowerCase();
+  return Object.keys(FACTS_FILE_TYPES).find((type) => FACTS_FILE_TYPES[type].includes(mimeType)) || null;
+}
+
+function decodeFactsFile(buffer) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch (err) {
+    // Excel on Windows saves CSV in the local code page.
+    return new TextDecoder("windows-1251").decode(buffer);
+  }
+}
+
+// Rows with their first line number; quoted cells may contain delimiters, quotes ("") and line breaks.
+function parseCsvRows(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t"].reduce(
+    (best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best),
+    ","
+  );
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === "\n") line += 1;
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") continue;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = "";
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length > 0) rows.push({ line: rowLine, cells: row.concat(cell) });
+  return rows.filter((item) => item.cells.some((value) => value.trim()));
+}
+
+function parseCsvFacts(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].cells.map((value) => value.trim().toLowerCase());
+  const pieceCol = header.findIndex((value) => /^(piece|деталь|номер|n|№|#)$/.test(value));
+  const textCol = header.findIndex((value) => /^(fact|text|факт|текст)$/.test(value));
+  const hasHeader = pieceCol >= 0 || textCol >= 0;
+  return rows.slice(hasHeader ? 1 : 0).map(({ line, cells }) => {
+    const label = `строка ${line}`;
+    if (hasHeader) {
+      const factCol = textCol >= 0 ? textCol : pieceCol === 0 ? 1 : 0;
+      return { label, piece: pieceCol >= 0 ? cells[pieceCol]?.trim() || null : null, text: cells[factCol] || "" };
+    }
+    // Without a header a leading number is the piece: "7;Текст факта".
+    if (cells.length > 1 && /^\s*\d+\s*$/.test(cells[0])) {
+      return { label, piece: cells[0].trim(), text: cells.slice(1).join(", ") };
+    }
+    return { label, piece: null, text: cells.join(", ") };
+  });
+}
+
+function parseJsonFacts(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) {
+    return data.map((item, idx) => {
+      const label = `элемент ${idx + 1}`;
+      if (item && typeof item === "object") {
+        return { label, piece: item.piece ?? null, text: String(item.text ?? item.fact ?? "") };
+      }
+      return { label, piece: null, text: String(item ?? "") };
+    });
+  }
+  if (data && typeof data === "object") {
+    return Object.entries(data).map(([key, value]) => ({ label: `ключ ${key}`, piece: key, text: String(value ?? "") }));
+  }
+  throw new Error("JSON must be an array or an object");
+}
+
+// Entries are { label, piece, text }; piece is null when the fact just takes the next free piece.
+function parseFactsFile(type, text) {
+  if (type === "json") return parseJsonFacts(text);
+  if (type === "csv") return parseCsvFacts(text);
+  return text
+    .split(/\r?\n/)
+    .map((line, idx) => ({ label: `строка ${idx + 1}`, piece: null, text: line }))
+    .filter((entry) => entry.text.trim());
+}
+
+// Facts with a piece number go first, so the numbered pieces are not taken by the rest.
+function placeImportedFacts(session, entries) {
+  const results = new Array(entries.length);
+  const place = (entry, index) => {
+    const cleaned = sanitizeFact(entry.text);
+    if (!cleaned) return { status: "empty" };
+    const rewrite = autoRewriteFact(cleaned, (candidate) => tryFitFact(session, candidate, index));
+    if (rewrite.failed) return { status: "too_long", index };
+    const replaced = Boolean(session.facts[index]);
+    setFact(session, index, rewrite.text, rewrite.changed ? { original: cleaned, choice: "auto", text: rewrite.text } : null);
+    return { status: rewrite.changed ? "shortened" : "fitted", index, text: rewrite.text, replaced };
+  };
+  entries.forEach((entry, idx) => {
+    if (entry.piece === null || entry.piece === "") return;
+    const piece = Number(entry.piece);
+    results[idx] =
+      Number.isInteger(piece) && piece >= 1 && piece <= session.count
+        ? place(entry, piece - 1)
+        : { status: "out_of_range", piece: entry.piece };
+  });
+  entries.forEach((entry, idx) => {
+    if (results[idx]) return;
+    const index = getFreePiece(session);
+    results[idx] = index < 0 ? { status: "no_space" } : place(entry, index);
+  });
+  return results.map((result, idx) => ({ ...result, label: entries[idx].label }));
+}
+
+function formatImportResult(result) {
+  const replaced = result.replaced ? " (вместо прежнего факта)" : "";
+  switch (result.status) {
+    case "fitted":
+      return `${result.label}: деталь ${result.index + 1}${replaced}`;
+    case "shortened":
+      return `${result.label}: деталь ${result.index + 1}${replaced}, сокращён до “${result.text}”`;
+    case "too_long":
+      return `${result.label}: слишком длинный для детали ${result.index + 1}, пропущен`;
+    case "out_of_range":
+      return `${result.label}: детали ${result.piece} нет в пазле, пропущен`;
+    case "no_space":
+      return `${result.label}: свободных деталей не осталось, пропущен`;
+    default:
+      return `${result.label}: пустой, пропущен`;
+  }
+}
+
+function formatImportSummary(results) {
+  const count = (...statuses) => results.filter((result) => statuses.includes(result.status)).length;
+  const parts = [
+    `влезли ${count("fitted")}`,
+    `сокращены ${count("shortened")}`,
+    `слишком длинные ${count("too_long")}`,
+    `вне диапазона ${count("out_of_range", "no_space")}`
+  ];
+  const empty = count("empty");
+  if (empty > 0) parts.push(`пустые ${empty}`);
+  return `Факты из файла: ${parts.join(", ")}.`;
+}
+
+async function inspectImage(telegram, fileId) {
+  const fileLink = await telegram.getFileLink(fileId);
+  const buffer = await downloadFile(fileLink.href || String(fileLink));
+  const metadata = await sharp(buffer).metadata();
+  if (metadata.format === "heif") {
+    // libvips can read the HEIF container without having the codec for its pixels.
+    await sharp(buffer).resize(8, 8).raw().toBuffer();
+  }
+  return getOrientedSize(metadata);
+}
+
+async function generateAssemblyKey(telegram, puzzle) {
+  const { buffer, width, height } = await loadNormalizedPhoto(
+    telegram,
+    puzzle.photoFileId,
+    puzzle.printFormat,
+    puzzle.framing
+  );
+  const scale = Math.min(1, ASSEMBLY_KEY_SIDE / Math.max(width, height));
+  const outWidth = Math.max(1, Math.round(width * scale));
+  const outHeight = Math.max(1, Math.round(height * scale));
+  const keySvg = scaleSvg(
+    buildAssemblyKeySvg(
+      width,
+      height,
+      puzzle.rows,
+      puzzle.cols,
+      puzzle.puzzlePaths,
+      puzzle.edgeMeta,
+      puzzle.settings || DEFAULT_SETTINGS,
+      outWidth
+    ),
+    width,
+    height,
+    outWidth,
+    outHeight
+  );
+  return sharp(buffer)
+    .resize({ width: outWidth, height: outHeight, fit: "fill" })
+    .composite([{ input: Buffer.from(keySvg) }])
+    .jpeg({ quality: 88 })
+    .toBuffer();
+}
+
+// The front of a finished puzzle, or a thumbnail of it when maxSide is given.
+async function generateFinishedFront(telegram, puzzle, maxSide = 0) {
+  const { buffer, width, height } = await loadNormalizedPhoto(
+    telegram,
+    puzzle.photoFileId,
+    puzzle.printFormat,
+    puzzle.framing
+  );
+  const scale = maxSide ? Math.min(1, maxSide / Math.max(width, height)) : 1;
+  const outWidth = Math.max(1, Math.round(width * scale));
+  const outHeight = Math.max(1, Math.round(height * scale));
+  // Lines are drawn thicker before downscaling so they stay visible on a thumbnail.
+  const settings = { ...puzzle.settings, lineWidth: puzzle.settings.lineWidth / scale };
+  const gridSvg = scaleSvg(
+    buildPuzzleSvg(width, height, puzzle.puzzlePaths, settings, puzzle.lineColors),
+    width,
+    height,
+    outWidth,
+    outHeight
+  );
+  const image = sharp(buffer)
+    .resize({ width: outWidth, height: outHeight, fit: "fill" })
+    .composite([{ input: Buffer.from(gridSvg), blend: "over" }]);
+  return maxSide ? image.jpeg({ quality: 85 }).toBuffer() : image.png().toBuffer();
+}
+
+async function loadFramePreview(telegram, userId, fileId) {
+  const cached = framePreviews.get(String(userId));
+  if (cached?.fileId === fileId) return cached;
+  const fileLink = await telegram.getFileLink(fileId);
+  const photoBuffer = await downloadFile(fileLink.href || String(fileLink));
+  const { data, info } = await sharp(photoBuffer, { autoOrient: true })
+    .resize({ width: FRAME_PREVIEW_SIDE, height: FRAME_PREVIEW_SIDE, fit: "inside" })
+    .flatten({ background: "#ffffff" })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  const preview = { fileId, buffer: data, width: info.width, height: info.height };
+  framePreviews.set(String(userId), preview);
+  return preview;
+}
+
+function buildFrameOverlaySvg(width, height, crop) {
+  const x = fmt(crop.left * width);
+  const y = fmt(crop.top * height);
+  const w = fmt(crop.width * width);
+  const h = fmt(crop.height * height);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <path d="M0 0H${width}V${height}H0Z M${x} ${y}h${w}v${h}h${-w}Z" fill="#000000" fill-opacity="0.55" fill-rule="evenodd"/>
+  <rect x="${x}" y="${y}" width="${w}" height="${h}" fill="none" stroke="#ffffff" stroke-width="2"/>
+</svg>`;
+}
+
+async function renderFramePreview(preview, framing) {
+  const { image, width, height } = await openFramedPhoto(preview.buffer, { ...framing, crop: null });
+  return image
+    .composite([{ input: Buffer.from(buildFrameOverlaySvg(width, height, framing.crop)) }])
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+// sharp only crops along the axis that overflows, so the best column and the best row
+// are searched separately and combined into the center of the box.
+async function findAutoCrop(preview, framing, printFormat, strategy) {
+  const { image } = await openFramedPhoto(preview.buffer, { ...framing, crop: null });
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  const box = computeCropBox(framing, preview.width, preview.height, printFormat);
+  const boxWidth = Math.max(1, Math.round(box.width * info.width));
+  const boxHeight = Math.max(1, Math.round(box.height * info.height));
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const crop = async (width, height) => {
+    const result = await sharp(data, { raw })
+      .resize({ width, height, fit: "cover", position: sharp.strategy[strategy] })
+      .toBuffer({ resolveWithObject: true });
+    return result.info;
+  };
+  const column = await crop(boxWidth, info.height);
+  const row = await crop(info.width, boxHeight);
+  return {
+    centerX: (Math.abs(column.cropOffsetLeft || 0) + boxWidth / 2) / info.width,
+    centerY: (Math.abs(row.cropOffsetTop || 0) + boxHeight / 2) / info.height
+  };
+}
+
+async function generateFrontImage(ctx, session) {
+  const { buffer, width, height, physical } = await loadNormalizedPhoto(
+    ctx.telegram,
+    session.photoFileId,
+    session.printFormat,
+    session.framing
+  );
+  session.physicalSize = physical;
+  const puzzleData = buildPuzzleData(width, height, session.rows, session.cols, session.seed, session.pieceStyle);
+  session.puzzlePaths = puzzleData.paths;
+  session.puzzleEdges = puzzleData.edges;
+  session.puzzleQuality = puzzleData.quality;
+  session.edgeMeta = puzzleData.edgeMeta;
+  if (puzzleData.quality.issues > 0) {
+    console.warn(`Puzzle ${session.id} geometry issues`, JSON.stringify(puzzleData.quality));
+  }
+  session.lineColors = session.settings.autoContrast ? await computeLineColors(buffer, puzzleData.edges) : null;
+  const gridSvg = buildPuzzleSvg(width, height, puzzleData.paths, session.settings, session.lineColors);
+
+  const frontBuffer = await sharp(buffer)
+    .composite([{ input: Buffer.from(gridSvg), blend: "over" }])
+    .png()
+    .toBuffer();
+
+  return { buffer: frontBuffer, width, height };
+}
+
+function buildSessionBackSvg(session, placements = null, mirror = false) {
+  return buildBackSvg(
+    session.width,
+    session.height,
+    session.rows,
+    session.cols,
     session.facts,
     session.puzzlePaths,
     session.edgeMeta,
     session.fontScale,
     placements,
-    mirror
+    mirror,
+    getTextOptions(session),
+    session.settings
   );
+}
+
+async function generateBackImage(session, placements = null, mirror = false) {
+  const svg = buildSessionBackSvg(session, placements, mirror);
   const backBuffer = await sharp({
     create: {
       width: session.width,
@@ -905,265 +2866,2419 @@ async function generateBackImage(session, placements = null, mirror = false) {
   return backBuffer;
 }
 
-function formatOptions() {
+// The editor's layout rendered by the same buildBackSvg as the final back, only scaled down. Facts are
+// left out: like the final render, the preview shows just the editor's items, even when there are none.
+async function generateBackPreview(telegram, session, layout, maxSide) {
+  const settings = BACK_THEMES[layout.theme] ? { ...session.settings, backTheme: layout.theme } : session.settings;
+  await ensureBackImage(telegram, settings);
+  const scale = Math.min(1, maxSide / Math.max(session.width, session.height));
+  const outWidth = Math.max(1, Math.round(session.width * scale));
+  const outHeight = Math.max(1, Math.round(session.height * scale));
+  const svg = scaleSvg(
+    buildSessionBackSvg({ ...session, settings, facts: [] }, layout.placements, layout.mirror),
+    session.width,
+    session.height,
+    outWidth,
+    outHeight
+  );
+  return sharp({ create: { width: outWidth, height: outHeight, channels: 3, background: "#ffffff" } })
+    .composite([{ input: Buffer.from(svg), blend: "over" }])
+    .png()
+    .toBuffer();
+}
+
+function mmToPx(mm, dpi) {
+  return Math.max(1, Math.round((mm / MM_PER_INCH) * dpi));
+}
+
+function mmToPt(mm) {
+  return (mm / MM_PER_INCH) * 72;
+}
+
+function scaleSvg(svg, width, height, outWidth, outHeight) {
+  return svg.replace(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${outWidth}" height="${outHeight}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">`
+  );
+}
+
+function computePrintLayout(width, height, paperKey, marginMm, physical = null) {
+  const paper = PAPER_SIZES[paperKey] || PAPER_SIZES.A4;
+  const landscape = width > height;
+  const pageWidth = landscape ? paper.height : paper.width;
+  const pageHeight = landscape ? paper.width : paper.height;
+  const bleed = Number.isFinite(PDF_BLEED_MM) ? Math.max(0, PDF_BLEED_MM) : 3;
+  const reserve = Math.max(0, marginMm || 0) + bleed + CROP_MARK_MM;
+  const fitRatio = Math.min((pageWidth - reserve * 2) / width, (pageHeight - reserve * 2) / height);
+  // A chosen physical format is printed 1:1 and only shrunk when it does not fit the sheet.
+  const physicalRatio = physical ? physical.widthMm / width : Infinity;
+  const ratio = Math.min(fitRatio, physicalRatio);
+  const trimWidth = width * ratio;
+  const trimHeight = height * ratio;
+
+  return {
+    pageWidth,
+    pageHeight,
+    trimWidth,
+    trimHeight,
+    trimX: (pageWidth - trimWidth) / 2,
+    trimY: (pageHeight - trimHeight) / 2,
+    bleed,
+    landscape,
+    shrunk: Boolean(physical) && physicalRatio > fitRatio
+  };
+}
+
+async function renderPrintSides(telegram, puzzle, layout, dpi) {
+  await ensureBackImage(telegram, puzzle.settings);
+  const trimWidth = mmToPx(layout.trimWidth, dpi);
+  const trimHeight = mmToPx(layout.trimHeight, dpi);
+  const bleed = Math.round((layout.bleed / MM_PER_INCH) * dpi);
+
+  // Both sides are rasterized from the same session paths, only scaled to print size,
+  // so the cut lines on the front and the mirrored back register when printed duplex.
+  const gridSvg = scaleSvg(
+    buildPuzzleSvg(puzzle.width, puzzle.height, puzzle.puzzlePaths, puzzle.settings, puzzle.lineColors),
+    puzzle.width,
+    puzzle.height,
+    trimWidth,
+    trimHeight
+  );
+  const backSvg = scaleSvg(
+    buildSessionBackSvg(puzzle, puzzle.placements, getBackMirror(puzzle)),
+    puzzle.width,
+    puzzle.height,
+    trimWidth,
+    trimHeight
+  );
+
+  const fileLink = await telegram.getFileLink(puzzle.photoFileId);
+  const photoBuffer = await downloadFile(fileLink.href || String(fileLink));
+  const { image: framedPhoto } = await openFramedPhoto(photoBuffer, puzzle.framing);
+  const photo = await framedPhoto
+    .resize({ width: trimWidth, height: trimHeight, fit: "cover", position: "centre" })
+    .extend({ top: bleed, bottom: bleed, left: bleed, right: bleed, extendWith: "mirror" })
+    .toBuffer();
+
+  const front = await sharp(photo)
+    .composite([{ input: Buffer.from(gridSvg), left: bleed, top: bleed }])
+    .jpeg({ quality: 95 })
+    .toBuffer();
+
+  // The bleed gets the bare theme background, so a coloured back has no white rim after cutting.
+  const theme = resolveBackTheme(puzzle.settings || DEFAULT_SETTINGS);
+  const bleedWidth = trimWidth + bleed * 2;
+  const bleedHeight = trimHeight + bleed * 2;
+  const backgroundSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${bleedWidth}" height="${bleedHeight}">
+  ${buildBackgroundSvg(theme.key, bleedWidth, bleedHeight, theme.imageHref)}
+</svg>`;
+  const back = await sharp(Buffer.from(backgroundSvg))
+    .flatten({ background: "#ffffff" })
+    .composite([{ input: Buffer.from(backSvg), left: bleed, top: bleed }])
+    .png()
+    .toBuffer();
+
+  return { front, back };
+}
+
+function drawCropMarks(doc, layout) {
+  const left = mmToPt(layout.trimX);
+  const top = mmToPt(layout.trimY);
+  const right = mmToPt(layout.trimX + layout.trimWidth);
+  const bottom = mmToPt(layout.trimY + layout.trimHeight);
+  const gap = mmToPt(layout.bleed);
+  const length = mmToPt(CROP_MARK_MM);
+
+  doc.save().lineWidth(0.25).strokeColor("#000000");
+  for (const x of [left, right]) {
+    const dir = x === left ? -1 : 1;
+    for (const y of [top, bottom]) {
+      const dirY = y === top ? -1 : 1;
+      doc.moveTo(x + dir * gap, y).lineTo(x + dir * (gap + length), y).stroke();
+      doc.moveTo(x, y + dirY * gap).lineTo(x, y + dirY * (gap + length)).stroke();
+    }
+  }
+  doc.restore();
+}
+
+function buildDuplexPdf(layout, sides) {
+  return new Promise((resolve, reject) => {
+    const size = [mmToPt(layout.pageWidth), mmToPt(layout.pageHeight)];
+    const doc = new PDFDocument({ size, margin: 0, autoFirstPage: false, info: { Title: "Puzzle" } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const x = mmToPt(layout.trimX - layout.bleed);
+    const y = mmToPt(layout.trimY - layout.bleed);
+    const width = mmToPt(layout.trimWidth + layout.bleed * 2);
+    const height = mmToPt(layout.trimHeight + layout.bleed * 2);
+
+    // The trim box is centered, so the horizontally mirrored back lands on the front
+    // when the sheet is flipped around its vertical axis.
+    for (const image of [sides.front, sides.back]) {
+      doc.addPage({ size, margin: 0 });
+      doc.image(image, x, y, { width, height });
+      drawCropMarks(doc, layout);
+    }
+    doc.end();
+  });
+}
+
+async function generatePrintPdf(telegram, puzzle, paperKey, marginMm, dpi) {
+  const layout = computePrintLayout(puzzle.width, puzzle.height, paperKey, marginMm, puzzle.physicalSize);
+  const sides = await renderPrintSides(telegram, puzzle, layout, dpi);
+  const buffer = await buildDuplexPdf(layout, sides);
+  return { buffer, layout };
+}
+
+function buildPieceMaskSvg(outline, bounds, flipWidth = 0) {
+  const flip = flipWidth ? ` translate(${flipWidth} 0) scale(-1 1)` : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${bounds.width}" height="${bounds.height}">
+  <path d="${outline}" transform="translate(${-bounds.left} ${-bounds.top})${flip}" fill="#000" />
+</svg>`;
+}
+
+async function toRawImage(buffer) {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, raw: { width: info.width, height: info.height, channels: info.channels } };
+}
+
+function cutPiece(image, bounds, maskSvg) {
+  return sharp(image.data, { raw: image.raw })
+    .extract(bounds)
+    .composite([{ input: Buffer.from(maskSvg), blend: "dest-in" }])
+    .png()
+    .toBuffer();
+}
+
+async function generatePieceArchive(telegram, puzzle) {
+  const { buffer: photo, width, height } = await loadNormalizedPhoto(
+    telegram,
+    puzzle.photoFileId,
+    puzzle.printFormat,
+    puzzle.framing
+  );
+  if (width !== puzzle.width || height !== puzzle.height) {
+    throw new Error(`Photo size changed: ${width}x${height} vs ${puzzle.width}x${puzzle.height}`);
+  }
+  const front = await toRawImage(photo);
+  await ensureBackImage(telegram, puzzle.settings);
+  const mirror = getBackMirror(puzzle);
+  const back = await toRawImage(await generateBackImage(puzzle, puzzle.placements, mirror));
+
+  const zip = new JSZip();
+  const manifest = [];
+  for (let r = 0; r < puzzle.rows; r += 1) {
+    for (let c = 0; c < puzzle.cols; c += 1) {
+      const outline = buildPieceOutline(puzzle.puzzleEdges, r, c);
+      const bounds = getPieceBounds(puzzle.puzzleEdges, r, c, width, height);
+      // On a mirrored back the piece sits at the mirrored position with a mirrored outline.
+      const backBounds = mirror ? { ...bounds, left: width - bounds.left - bounds.width } : bounds;
+      const name = `r${r + 1}-c${c + 1}.png`;
+
+      zip.file(`front/${name}`, await cutPiece(front, bounds, buildPieceMaskSvg(outline, bounds)));
+      zip.file(`back/${name}`, await cutPiece(back, backBounds, buildPieceMaskSvg(outline, backBounds, mirror ? width : 0)));
+      manifest.push({
+        index: r * puzzle.cols + c + 1,
+        row: r + 1,
+        col: c + 1,
+        front: { file: `front/${name}`, x: bounds.left, y: bounds.top },
+        back: { file: `back/${name}`, x: backBounds.left, y: backBounds.top },
+        width: bounds.width,
+        height: bounds.height,
+        outline
+      });
+    }
+  }
+  zip.file("pieces.json", JSON.stringify({ width, height, rows: puzzle.rows, cols: puzzle.cols, pieces: manifest }, null, 2));
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "STORE" });
+}
+
+function parsePathCommands(pathDef) {
+  const tokens = String(pathDef).match(/[MLCZ]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const commands = [];
+  for (const token of tokens) {
+    if (/^[MLCZ]$/i.test(token)) {
+      commands.push({ cmd: token.toUpperCase(), coords: [] });
+    } else if (commands.length > 0) {
+      commands[commands.length - 1].coords.push(Number(token));
+    }
+  }
+  return commands;
+}
+
+function transformPath(pathDef, transformPoint) {
+  return parsePathCommands(pathDef)
+    .map(({ cmd, coords }) => {
+      const pairs = [];
+      for (let i = 0; i + 1 < coords.length; i += 2) {
+        const [x, y] = transformPoint([coords[i], coords[i + 1]]);
+        pairs.push(`${Number(x.toFixed(3))} ${Number(y.toFixed(3))}`);
+      }
+      return pairs.length > 0 ? `${cmd} ${pairs.join(" ")}` : cmd;
+    })
+    .join(" ");
+}
+
+function flattenPath(pathDef, steps = 12) {
+  const polylines = [];
+  let current = null;
+  let cursor = [0, 0];
+
+  for (const { cmd, coords } of parsePathCommands(pathDef)) {
+    if (cmd === "M") {
+      cursor = [coords[0], coords[1]];
+      current = [cursor];
+      polylines.push(current);
+      for (let i = 2; i + 1 < coords.length; i += 2) {
+        cursor = [coords[i], coords[i + 1]];
+        current.push(cursor);
+      }
+    } else if (cmd === "L") {
+      for (let i = 0; i + 1 < coords.length; i += 2) {
+        cursor = [coords[i], coords[i + 1]];
+        current.push(cursor);
+      }
+    } else if (cmd === "C") {
+      for (let i = 0; i + 5 < coords.length; i += 6) {
+        const [x0, y0] = cursor;
+        const [x1, y1, x2, y2, x3, y3] = coords.slice(i, i + 6);
+        for (let step = 1; step <= steps; step += 1) {
+          const t = step / steps;
+          const u = 1 - t;
+          current.push([
+            u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+            u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3
+          ]);
+        }
+        cursor = [x3, y3];
+      }
+    } else if (cmd === "Z" && current) {
+      current.push(current[0]);
+    }
+  }
+  return polylines;
+}
+
+function buildCutLines(edges, rows, cols) {
+  // Every inner grid line is emitted once as a single continuous cut, chained across
+  // its per-cell edges; the outer border is left to the optional frame.
+  const chain = (lines) => lines.map((points, idx) => (idx === 0 ? lineToPath(points) : continuePath(lineToPath(points)))).join(" ");
+  const lines = [];
+  for (let i = 1; i < rows; i += 1) lines.push(chain(edges.horizontal[i]));
+  for (let i = 1; i < cols; i += 1) lines.push(chain(edges.vertical[i]));
+  return lines;
+}
+
+function getCutTransform(puzzle, layout) {
+  const scale = layout.trimWidth / puzzle.width;
+  return (point) => [layout.trimX + point[0] * scale, layout.trimY + point[1] * scale];
+}
+
+function buildCutSvg(puzzle, layout, frame) {
+  const toMm = getCutTransform(puzzle, layout);
+  const lines = buildCutLines(puzzle.puzzleEdges, puzzle.rows, puzzle.cols).map((pathDef) => transformPath(pathDef, toMm));
+  if (frame) {
+    lines.push(transformPath(`M 0 0 L ${puzzle.width} 0 L ${puzzle.width} ${puzzle.height} L 0 ${puzzle.height} Z`, toMm));
+  }
+  const paths = lines.map((pathDef) => `<path d="${pathDef}" />`).join("\n    ");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(layout.pageWidth)}mm" height="${fmt(layout.pageHeight)}mm" viewBox="0 0 ${fmt(
+    layout.pageWidth
+  )} ${fmt(layout.pageHeight)}">
+  <g id="cut" fill="none" stroke="#ff0000" stroke-width="${CUT_STROKE_MM}">
+    ${paths}
+  </g>
+</svg>`;
+}
+
+function buildCutDxf(puzzle, layout, frame) {
+  const toMm = getCutTransform(puzzle, layout);
+  const polylines = buildCutLines(puzzle.puzzleEdges, puzzle.rows, puzzle.cols)
+    .flatMap((pathDef) => flattenPath(pathDef))
+    .map((points) => ({ points: points.map(toMm), closed: false }));
+  if (frame) {
+    const corners = [
+      [0, 0],
+      [puzzle.width, 0],
+      [puzzle.width, puzzle.height],
+      [0, puzzle.height]
+    ];
+    polylines.push({ points: corners.map(toMm), closed: true });
+  }
+
+  // R12 ASCII DXF: POLYLINE/VERTEX entities are understood by every cutter software.
+  // DXF has Y pointing up, so the sheet is flipped around its height.
+  const out = ["0", "SECTION", "2", "HEADER", "9", "$ACADVER", "1", "AC1009", "9", "$INSUNITS", "70", "4", "0", "ENDSEC"];
+  out.push("0", "SECTION", "2", "ENTITIES");
+  for (const polyline of polylines) {
+    out.push("0", "POLYLINE", "8", "CUT", "66", "1", "70", polyline.closed ? "1" : "0");
+    for (const [x, y] of polyline.points) {
+      out.push("0", "VERTEX", "8", "CUT", "10", x.toFixed(3), "20", (layout.pageHeight - y).toFixed(3));
+    }
+    out.push("0", "SEQEND", "8", "CUT");
+  }
+  out.push("0", "ENDSEC", "0", "EOF");
+  return `${out.join("\n")}\n`;
+}
+
+function getMaxPieces() {
+  return Number.isFinite(MAX_PIECES) && MAX_PIECES >= 2 ? MAX_PIECES : 500;
+}
+
+function fontScaleForCount(count) {
+  // Power fit through the old hand-tuned table (12 → 0.9, 15 → 0.75, 16 → 0.7, 21 → 0.6).
+  const scale = 0.9 * Math.pow(Math.max(1, count) / 12, -0.725);
+  return Math.min(1, Math.max(0.3, scale));
+}
+
+function pickGrid(count, aspect) {
+  const ratio = Number.isFinite(aspect) && aspect > 0 ? aspect : 1;
+  let best = null;
+  for (let rows = 1; rows <= count; rows += 1) {
+    for (const cols of new Set([Math.floor(count / rows), Math.ceil(count / rows)])) {
+      const total = rows * cols;
+      if (cols < 1 || total < 2 || total > getMaxPieces()) continue;
+      // Piece aspect is (width / cols) / (height / rows); stray from the asked count costs more than non-square pieces.
+      const cost = Math.abs(Math.log((ratio * rows) / cols)) + 3 * Math.abs(Math.log(total / count));
+      if (!best || cost < best.cost) best = { rows, cols, count: total, cost };
+    }
+  }
+  return best ? { rows: best.rows, cols: best.cols, count: best.count } : null;
+}
+
+function parseGridInput(text, aspect) {
+  const value = String(text || "").trim().toLowerCase();
+  const explicit = value.match(/^(\d{1,3})\s*(?:x|х|×|\*|на)\s*(\d{1,3})$/);
+  if (explicit) {
+    const rows = Number(explicit[1]);
+    const cols = Number(explicit[2]);
+    if (rows < 1 || cols < 1 || rows * cols < 2 || rows * cols > getMaxPieces()) return { error: "range" };
+    return { rows, cols, count: rows * cols };
+  }
+  const single = value.match(/^(\d{1,4})$/);
+  if (single) {
+    const count = Number(single[1]);
+    if (count < 2 || count > getMaxPieces()) return { error: "range" };
+    return pickGrid(count, aspect) || { error: "range" };
+  }
+  return { error: "format" };
+}
+
+function formatOptions(aspect) {
+  const seen = new Set();
+  const buttons = [];
+  for (const count of SIZE_SUGGESTIONS) {
+    if (count > getMaxPieces()) continue;
+    const grid = pickGrid(count, aspect);
+    const key = grid ? `${grid.rows}x${grid.cols}` : "";
+    if (!grid || seen.has(key)) continue;
+    seen.add(key);
+    buttons.push(Markup.button.callback(`${grid.count} (${grid.rows}×${grid.cols})`, `size:${key}`));
+  }
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([Markup.button.callback("Кадрирование", "frame"), Markup.button.callback("Формат печати", "format")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function formatSizePrompt() {
+  return `Сколько деталей в пазле? Выбери кнопку или напиши число (до ${getMaxPieces()}) либо сетку «ряды x колонки», например 5x8.`;
+}
+
+function formatFrameOptions(framing, printFormat) {
+  const rows = [];
+  if (!printFormat) {
+    const aspectButtons = FRAME_ASPECTS.map((aspect) => {
+      const label = aspect === "photo" ? "Как фото" : aspect;
+      return Markup.button.callback(aspect === framing.aspect ? `• ${label}` : label, `frame:aspect:${aspect}`);
+    });
+    rows.push(aspectButtons.slice(0, 3), aspectButtons.slice(3));
+  }
+  rows.push([
+    Markup.button.callback("←", "frame:move:left"),
+    Markup.button.callback("↑", "frame:move:up"),
+    Markup.button.callback("↓", "frame:move:down"),
+    Markup.button.callback("→", "frame:move:right")
+  ]);
+  rows.push([
+    Markup.button.callback("Ближе", "frame:zoom:+"),
+    Markup.button.callback("Дальше", "frame:zoom:-"),
+    Markup.button.callback("Повернуть 90°", "frame:rotate")
+  ]);
+  rows.push([
+    Markup.button.callback("Авто: главное", "frame:auto:attention"),
+    Markup.button.callback("Авто: детали", "frame:auto:entropy")
+  ]);
+  rows.push([Markup.button.callback("Сбросить", "frame:reset"), Markup.button.callback("Готово", "frame:done")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function describeFraming(session) {
+  const { framing } = session;
+  const framed = getFramedSize(session.photoWidth, session.photoHeight, framing);
+  const aspect = session.printFormat
+    ? "по формату печати"
+    : framing.aspect === "photo"
+      ? "как у фото"
+      : framing.aspect;
+  const zoom = String(Math.round(framing.zoom * 100) / 100).replace(".", ",");
+  return `Кадр: пропорции ${aspect}, приближение ×${zoom}, поворот ${framing.rotate}°. В пазл попадёт ${framed.width}×${framed.height} px.`;
+}
+
+function describeColor(value) {
+  const preset = Object.values(COLOR_PRESETS).find((item) => item.value === value.toLowerCase());
+  return preset ? preset.label.toLowerCase() : value;
+}
+
+function describeSettings(settings) {
+  const lines = settings.autoContrast
+    ? "светлые или тёмные по фото (авто‑контраст)"
+    : describeColor(settings.lineColor);
+  return [
+    `Линии: ${lines}, толщина ${String(settings.lineWidth).replace(".", ",")}, непрозрачность ${Math.round(
+      settings.lineOpacity * 100
+    )}%, ${settings.lineDash ? "пунктир" : "сплошные"}.`,
+    `Текст: ${describeColor(settings.textColor)}, шрифт ${FONTS[settings.fontId].label}.`,
+    `Строки: ${TEXT_WRAP_MODES[settings.textWrap]}, ${settings.justify ? "по ширине" : "по центру"}, переносы ${
+      settings.hyphenate ? "включены" : "выключены"
+    }.`,
+    `Номера деталей на обороте: ${PIECE_NUMBER_MODES[settings.pieceNumbers]}.`,
+    `Фон оборота: ${BACK_THEMES[settings.backTheme].label.toLowerCase()}.`
+  ].join("\n");
+}
+
+function formatSettingsOptions(settings) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("Цвет линий", "settings:colors:line"), Markup.button.callback("Цвет текста", "settings:colors:text")],
+    [Markup.button.callback("Шрифт", "settings:fonts")],
+    [
+      Markup.button.callback(`Строки: ${TEXT_WRAP_MODES[settings.textWrap]}`, "settings:wrap"),
+      Markup.button.callback(settings.justify ? "• По ширине" : "По ширине", "settings:justify"),
+      Markup.button.callback(settings.hyphenate ? "• Переносы" : "Переносы", "settings:hyphenate")
+    ],
+    [Markup.button.callback("Тоньше", "settings:width:-"), Markup.button.callback("Толще", "settings:width:+")],
+    [Markup.button.callback("Прозрачнее", "settings:opacity:-"), Markup.button.callback("Ярче", "settings:opacity:+")],
+    [
+      Markup.button.callback(settings.lineDash ? "Сплошные" : "Пунктир", "settings:dash"),
+      Markup.button.callback(settings.autoContrast ? "• Авто‑контраст" : "Авто‑контраст", "settings:auto")
+    ],
+    [
+      Markup.button.callback(`Номера: ${PIECE_NUMBER_MODES[settings.pieceNumbers]}`, "settings:numbers"),
+      Markup.button.callback("Фон оборота", "theme")
+    ],
+    [Markup.button.callback("Сбросить", "settings:reset")]
+  ]);
+}
+
+function formatSettingsColorOptions(target, settings) {
+  const current = target === "line" ? settings.lineColor : settings.textColor;
+  const buttons = Object.entries(COLOR_PRESETS).map(([key, preset]) =>
+    Markup.button.callback(preset.value === current ? `• ${preset.label}` : preset.label, `settings:${target}:${key}`)
+  );
+  return Markup.inlineKeyboard([buttons.slice(0, 3), buttons.slice(3), [Markup.button.callback("← Назад", "settings")]]);
+}
+
+function formatSettingsFontOptions(settings) {
+  const buttons = Object.entries(FONTS).map(([key, font]) =>
+    Markup.button.callback(key === settings.fontId ? `• ${font.label}` : font.label, `settings:font:${key}`)
+  );
+  return Markup.inlineKeyboard([...buttons.map((button) => [button]), [Markup.button.callback("← Назад", "settings")]]);
+}
+
+function formatThemeOptions(settings) {
+  const buttons = Object.entries(BACK_THEMES).map(([key, theme]) =>
+    Markup.button.callback(key === settings.backTheme ? `• ${theme.label}` : theme.label, `theme:${key}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  return Markup.inlineKeyboard(rows);
+}
+
+function formatFrontOptions() {
+  return Markup.inlineKeyboard([
+    Markup.button.callback("Стиль нарезки", "style"),
+    Markup.button.callback("Файл для резки (SVG/DXF)", "cut")
+  ]);
+}
+
+function describePieceStyle(pieceStyle) {
+  const current = normalizePieceStyle(pieceStyle);
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  return `Стиль нарезки: ${PIECE_STYLES[current.style]}, размер ушек ${percent(current.tabSize)}, разброс ${percent(
+    current.jitter
+  )}.`;
+}
+
+function formatStyleOptions(pieceStyle) {
+  const current = normalizePieceStyle(pieceStyle);
+  const styleButtons = Object.entries(PIECE_STYLES).map(([key, label]) =>
+    Markup.button.callback(key === current.style ? `• ${label}` : label, `style:${key}`)
+  );
+  return Markup.inlineKeyboard([
+    styleButtons.slice(0, 2),
+    styleButtons.slice(2),
+    [Markup.button.callback("Ушки −", "style:tab:-"), Markup.button.callback("Ушки +", "style:tab:+")],
+    [Markup.button.callback("Разброс −", "style:jitter:-"), Markup.button.callback("Разброс +", "style:jitter:+")]
+  ]);
+}
+
+function formatCutFormatOptions() {
+  return Markup.inlineKeyboard([CUT_FORMATS.map((format) => Markup.button.callback(format.toUpperCase(), `cut:${format}`))]);
+}
+
+function formatCutPaperOptions(format) {
+  return Markup.inlineKeyboard([
+    Object.keys(PAPER_SIZES).map((key) => Markup.button.callback(key, `cut:${format}:${key}`))
+  ]);
+}
+
+function formatCutMarginOptions(format, paper) {
   return Markup.inlineKeyboard([
-    [Markup.button.callback("12", "size:12"), Markup.button.callback("15", "size:15")],
-    [Markup.button.callback("16", "size:16"), Markup.button.callback("21", "size:21")]
+    PDF_MARGIN_OPTIONS.map((margin) =>
+      Markup.button.callback(margin ? `Поля ${margin} мм` : "Без полей", `cut:${format}:${paper}:${margin}`)
+    )
   ]);
 }
 
-function formatFactsPrompt(session) {
-  return `Пришли факты для пазла: ${session.facts.length}/${session.count}.\nМожно писать по одному факту или сразу несколько строками. Эмодзи удаляются. Если текст не влезет, попрошу сократить.`;
-}
+function formatCutFrameOptions(format, paper, margin) {
+  return Markup.inlineKeyboard([
+    Markup.button.callback("С внешней рамкой", `cut:${format}:${paper}:${margin}:1`),
+    Markup.button.callback("Без рамки", `cut:${format}:${paper}:${margin}:0`)
+  ]);
+}
+
+function formatDoneOptions() {
+  return Markup.inlineKeyboard([
+    Markup.button.callback("PDF для печати", "pdf"),
+    Markup.button.callback("Детали PNG (ZIP)", "pieces")
+  ]);
+}
+
+function describeHistoryRecord(record, number) {
+  const date = new Date(record.createdAt).toLocaleString("ru-RU", {
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+  const physicalNote = describePhysicalSize(record);
+  return `${number}. ${date} · ${record.count} деталей (${record.rows}×${record.cols})\nФактов: ${countFacts(record)}/${record.count}${
+    record.placements ? ", раскладка из редактора" : ""
+  }${physicalNote ? `\n${physicalNote}` : ""}`;
+}
+
+function formatHistoryOptions(record) {
+  const rows = [
+    [Markup.button.callback("Скачать снова", `history:get:${record.id}`)],
+    [
+      Markup.button.callback("Новая нарезка", `history:reroll:${record.id}`),
+      Markup.button.callback("Другое число деталей", `history:size:${record.id}`)
+    ]
+  ];
+  if (WEBAPP_URL) rows.push([Markup.button.callback("Открыть в редакторе", `history:edit:${record.id}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function formatPdfPaperOptions() {
+  return Markup.inlineKeyboard([Object.keys(PAPER_SIZES).map((key) => Markup.button.callback(key, `pdf:${key}`))]);
+}
+
+function formatPdfMarginOptions(paper) {
+  return Markup.inlineKeyboard([
+    PDF_MARGIN_OPTIONS.map((margin) =>
+      Markup.button.callback(margin ? `Поля ${margin} мм` : "Без полей", `pdf:${paper}:${margin}`)
+    )
+  ]);
+}
+
+function formatPdfDpiOptions(paper, margin) {
+  return Markup.inlineKeyboard([
+    PDF_DPI_OPTIONS.map((dpi) => Markup.button.callback(`${dpi} DPI`, `pdf:${paper}:${margin}:${dpi}`))
+  ]);
+}
+
+function formatFactsPrompt(session) {
+  if (session.placeMode) {
+    return `Факты по деталям: ${countFacts(session)}/${session.count}.\nНажми деталь в сетке (она как на фото) и пришли факт или напиши сразу «7: текст факта», можно несколькими строками. Строка без номера займёт первую свободную деталь.`;
+  }
+  return `Пришли факты для пазла: ${countFacts(session)}/${session.count}.\nМожно писать по одному факту или сразу несколько строками, эмодзи тоже можно, или прислать файл TXT, CSV или JSON. Если текст не влезет, предложу варианты покороче, а выберешь ты. Список и правка фактов: /facts, выбрать детали на фото: /place.`;
+}
+
+function canShowPieceGrid(session) {
+  return session.cols <= PIECE_GRID_MAX_COLS && session.count <= PIECE_GRID_MAX_BUTTONS;
+}
+
+function formatFactsPromptOptions(session) {
+  if (!session.placeMode) {
+    return Markup.inlineKeyboard([[Markup.button.callback("Выбрать детали на фото", "place")]]);
+  }
+  const rows = [];
+  if (canShowPieceGrid(session)) {
+    const mode = session.settings.pieceNumbers === "code" ? "code" : "number";
+    for (let r = 0; r < session.rows; r += 1) {
+      const row = [];
+      for (let c = 0; c < session.cols; c += 1) {
+        const index = r * session.cols + c;
+        const label = formatPieceLabel(r, c, session.cols, mode);
+        row.push(Markup.button.callback(session.facts[index] ? `• ${label}` : label, `place:${index + 1}`));
+      }
+      rows.push(row);
+    }
+  }
+  rows.push([Markup.button.callback("Дальше по порядку", "place:off")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// "7" or a row code like "B3"; -1 when there is no such piece.
+function parsePieceRef(ref, rows, cols) {
+  if (/^\d+$/.test(ref)) {
+    const number = Number(ref);
+    return number >= 1 && number <= rows * cols ? number - 1 : -1;
+  }
+  const match = ref.toUpperCase().match(/^([A-Z]{1,2})(\d+)$/);
+  if (!match) return -1;
+  const row = [...match[1]].reduce((value, letter) => value * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  const col = Number(match[2]) - 1;
+  return row < rows && col >= 0 && col < cols ? row * cols + col : -1;
+}
+
+// Facts are stored by piece index; pieces without a fact hold an empty string.
+function countFacts(session) {
+  return session.facts.filter(Boolean).length;
+}
+
+function getFactIndices(session) {
+  return session.facts.flatMap((fact, index) => (fact ? [index] : []));
+}
+
+function getFreePiece(session) {
+  for (let index = 0; index < session.count; index += 1) {
+    if (!session.facts[index]) return index;
+  }
+  return -1;
+}
+
+function setFact(session, index, text, record = null) {
+  while (session.facts.length < index) session.facts.push("");
+  while (session.rewrites.length < index) session.rewrites.push(null);
+  session.facts[index] = text;
+  session.rewrites[index] = record;
+}
+
+// The back is mirrored so it registers with the front when printed duplex. Editor layouts were placed
+// on the grid as the editor showed it, so they keep their own flag. The fit check, the chat renders
+// and print all take it from here, so a fact that fits in the chat lands the same way on paper.
+function getBackMirror(puzzle) {
+  return puzzle.placements?.length ? puzzle.mirror !== false : true;
+}
+
+function tryFitFact(session, text, index, small = false) {
+  const cellWidth = session.width / session.cols;
+  const cellHeight = session.height / session.rows;
+  const basePadding = Math.max(10, Math.floor(Math.min(cellWidth, cellHeight) * 0.14));
+  const textOptions = { ...getTextOptions(session), smallFacts: [], small };
+  // Same placement as on the rendered back, i.e. in the mirrored cell the text lands in.
+  const placement = findFactPlacement(
+    text,
+    index,
+    session.width,
+    cellWidth,
+    cellHeight,
+    session.rows,
+    session.cols,
+    session.edgeMeta,
+    basePadding,
+    session.fontScale,
+    textOptions,
+    getBackMirror(session)
+  );
+  return { ok: !placement.fit.truncated, fit: placement.fit, placement };
+}
+
+function clampNumber(value, [min, max]) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Editor items come in screen pixels; `scale` brings them back to image pixels. The payload is
+// untrusted, so items, text and sizes are bounded to keep a render cheap.
+function parseEditorLayout(payload) {
+  const scale = clampNumber(Number(payload?.scale) || 1, LAYOUT_SCALE_RANGE);
+  const items = Array.isArray(payload?.items) ? payload.items : [];
+  return {
+    mirror: Boolean(payload?.mirror),
+    theme: String(payload?.theme || ""),
+    placements: items
+      .filter((item) => item && typeof item === "object")
+      .slice(0, MAX_LAYOUT_ITEMS)
+      .map((item) => {
+        const fontSize = clampNumber(Number(item.fontSize || 16) * scale, LAYOUT_FONT_SIZE_RANGE);
+        return {
+          x: Number(item.x || 0) * scale,
+          y: Number(item.y || 0) * scale,
+          fontSize,
+          lineHeight: clampNumber(Number(item.lineHeight || 0) * scale, [0, fontSize * 4]),
+          rotation: Number(item.rotation || 0) % 360,
+          fontId: resolveFontId(String(item.fontId || ""), String(item.fontFamily || "")),
+          text: String(item.text || "").slice(0, MAX_LAYOUT_TEXT_LENGTH)
+        };
+      })
+      .filter(
+        (item) =>
+          item.text &&
+          Number.isFinite(item.x) &&
+          Number.isFinite(item.y) &&
+          Number.isFinite(item.fontSize) &&
+          Number.isFinite(item.lineHeight) &&
+          Number.isFinite(item.rotation)
+      )
+  };
+}
+
+// Text items for the web editor in image pixels: a layout saved from the editor, or every fact placed
+// exactly as buildBackSvg would draw it (mirrored, wrapped lines joined with "\n").
+function getEditorItems(session) {
+  if (session.placements?.length) return session.placements;
+  const textOptions = getTextOptions(session);
+  const cellWidth = session.width / session.cols;
+  const cellHeight = session.height / session.rows;
+  const basePadding = Math.max(10, Math.floor(Math.min(cellWidth, cellHeight) * 0.14));
+  return session.facts.slice(0, session.count).flatMap((text, index) => {
+    if (!text) return [];
+    const placement = findFactPlacement(
+      text,
+      index,
+      session.width,
+      cellWidth,
+      cellHeight,
+      session.rows,
+      session.cols,
+      session.edgeMeta,
+      basePadding,
+      session.fontScale,
+      textOptions,
+      getBackMirror(session)
+    );
+    const { lines, fontSize, lineHeight } = placement.fit;
+    return [
+      {
+        piece: index + 1,
+        text: lines.join("\n"),
+        x: Number(placement.centerX.toFixed(2)),
+        y: Number(placement.centerY.toFixed(2)),
+        fontSize,
+        lineHeight,
+        rotation: 0,
+        fontId: textOptions.fontId
+      }
+    ];
+  });
+}
+
+function formatRewritePrompt(pending) {
+  const lines = [`Факт для детали ${pending.index + 1} не влезает: “${pending.original}”`];
+  if (pending.candidates.length > 0) {
+    const numbered = pending.candidates.length > 1;
+    lines.push("Могу сократить так:", ...pending.candidates.map((text, idx) => (numbered ? `${idx + 1}. “${text}”` : `“${text}”`)));
+  } else {
+    lines.push("Сократить его, не потеряв смысл, не получилось.");
+  }
+  if (pending.canKeep) lines.push("Или оставлю как есть, но шрифт будет мельче обычного.");
+  return lines.join("\n");
+}
+
+function formatRewriteOptions(pending) {
+  const prefix = `rewrite:${pending.index}`;
+  const rows = [];
+  if (pending.candidates.length > 0) {
+    rows.push([Markup.button.callback("Принять", `${prefix}:0`)]);
+  }
+  if (pending.candidates.length > 1) {
+    rows.push(pending.candidates.slice(1).map((_, idx) => Markup.button.callback(`Вариант ${idx + 2}`, `${prefix}:${idx + 1}`)));
+  }
+  if (pending.canKeep) rows.push([Markup.button.callback("Оставить целиком, мельче", `${prefix}:keep`)]);
+  rows.push([Markup.button.callback("Перепишу сам", `${prefix}:own`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function getPhotoAspect(session) {
+  if (session.photoWidth && session.photoHeight) {
+    const framed = getFramedSize(session.photoWidth, session.photoHeight, session.framing);
+    const aspect = framed.width / framed.height;
+    if (!session.printFormat) return aspect;
+    const physical = getPhysicalSize(session.printFormat, aspect > 1);
+    return physical.widthMm / physical.heightMm;
+  }
+  return 1;
+}
+
+function formatCm(mm) {
+  return String(Math.round(mm) / 10).replace(".", ",");
+}
+
+function describePrintFormat(printFormat) {
+  if (!printFormat) return "Формат печати не выбран: фото уменьшается до PUZZLE_MAX_SIDE пикселей.";
+  const format = PRINT_FORMATS[printFormat.key];
+  return `Формат печати: ${formatCm(format.width)}×${formatCm(format.height)} см, ${printFormat.dpi} DPI.`;
+}
+
+function describePhysicalSize(session) {
+  const physical = session.physicalSize;
+  if (!physical) return "";
+  const pieceWidth = physical.widthMm / session.cols;
+  const pieceHeight = physical.heightMm / session.rows;
+  return `${formatCm(physical.widthMm)}×${formatCm(physical.heightMm)} см, деталь ≈ ${formatCm(pieceWidth)}×${formatCm(
+    pieceHeight
+  )} см, ${physical.dpi} DPI`;
+}
+
+function formatPrintFormatOptions(printFormat) {
+  const buttons = Object.entries(PRINT_FORMATS).map(([key, format]) => {
+    const label = `${formatCm(format.width)}×${formatCm(format.height)} см`;
+    return Markup.button.callback(printFormat?.key === key ? `• ${label}` : label, `format:${key}`);
+  });
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([Markup.button.callback(printFormat ? "Без формата" : "• Без формата", "format:off")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function formatPrintDpiOptions(key) {
+  return Markup.inlineKeyboard([
+    PRINT_DPI_OPTIONS.map((dpi) => Markup.button.callback(`${dpi} DPI`, `format:${key}:${dpi}`))
+  ]);
+}
+
+function buildWebAppUrl(session) {
+  if (!WEBAPP_URL) return "";
+  let base = WEBAPP_URL.trim();
+  if (!/^https?:\/\//i.test(base)) {
+    base = `https://${base}`;
+  }
+  if (!/^https:\/\//i.test(base)) {
+    return "";
+  }
+  base = base.replace(/\/+$/, "");
+  const pieceStyle = normalizePieceStyle(session.pieceStyle);
+  const params = new URLSearchParams({
+    pid: session.id,
+    rows: String(session.rows || ""),
+    cols: String(session.cols || ""),
+    width: String(session.width || ""),
+    height: String(session.height || ""),
+    seed: String(session.seed || ""),
+    count: String(session.count || ""),
+    style: pieceStyle.style,
+    tab: String(pieceStyle.tabSize),
+    jitter: String(pieceStyle.jitter)
+  });
+  if (session.physicalSize) {
+    const textOptions = getTextOptions(session);
+    params.set("minFont", String(textOptions.minFont));
+    params.set("maxFont", String(textOptions.maxFont));
+  }
+  // Edges re-rolled by the geometry check, so the editor draws the same shapes.
+  const rerolled = session.puzzleQuality?.rerolled || [];
+  if (rerolled.length > 0) {
+    params.set("fix", rerolled.map((item) => `${item.orientation}.${item.i}.${item.j}.${item.attempt}`).join(","));
+  }
+  return `${base}/editor.html?${params.toString()}`;
+}
+
+async function sendProgressPreview(ctx, session, caption) {
+  try {
+    await ensureBackImage(ctx.telegram, session.settings);
+    const backBuffer = await generateBackImage(session, null, getBackMirror(session));
+    await ctx.replyWithDocument(
+      { source: backBuffer, filename: "puzzle-back-preview.png" },
+      { caption: caption || "Промежуточный результат" }
+    );
+  } catch (err) {
+    console.error("Preview generation error", err);
+  }
+}
+
+const bot = new Telegraf(BOT_TOKEN);
+
+bot.start((ctx) => {
+  resetSession(ctx.from.id);
+  clearImageQueue(ctx.from.id);
+  ctx.reply(
+    "Привет! Пришли фото, и я сделаю пазл: передняя сторона с пазами и задняя с фактами.\n\nКоманды: /start, /cancel, /frame, /style, /format, /settings, /theme, /facts, /place, /history, /pdf, /pieces",
+    Markup.removeKeyboard()
+  );
+});
+
+bot.command("cancel", (ctx) => {
+  resetSession(ctx.from.id);
+  const queued = clearImageQueue(ctx.from.id);
+  ctx.reply(
+    `Сбросил текущий пазл${queued ? ` и очередь из ${queued} фото` : ""}. Пришли новое фото, чтобы начать заново.`
+  );
+});
+
+function startPdfStep(ctx) {
+  if (!getFinishedPuzzle(ctx.from.id)) {
+    ctx.reply("PDF собирается из готового пазла. Сначала доведи пазл до задней стороны.");
+    return;
+  }
+  ctx.reply("Формат бумаги для PDF?", formatPdfPaperOptions());
+}
+
+bot.command("pdf", (ctx) => startPdfStep(ctx));
+
+bot.action("pdf", async (ctx) => {
+  await ctx.answerCbQuery();
+  startPdfStep(ctx);
+});
+
+bot.action(/^pdf:(\w+)$/, async (ctx) => {
+  const paper = ctx.match[1];
+  await ctx.answerCbQuery();
+  if (!PAPER_SIZES[paper]) {
+    ctx.reply("Не понял формат. Выбери кнопку из списка.");
+    return;
+  }
+  ctx.reply("Поля вокруг пазла (метки реза и вылеты есть всегда):", formatPdfMarginOptions(paper));
+});
+
+bot.action(/^pdf:(\w+):(\d+)$/, async (ctx) => {
+  const paper = ctx.match[1];
+  const margin = Number(ctx.match[2]);
+  await ctx.answerCbQuery();
+  if (!PAPER_SIZES[paper] || !PDF_MARGIN_OPTIONS.includes(margin)) {
+    ctx.reply("Не понял параметры. Начни заново: /pdf");
+    return;
+  }
+  ctx.reply("Разрешение печати?", formatPdfDpiOptions(paper, margin));
+});
+
+bot.action(/^pdf:(\w+):(\d+):(\d+)$/, async (ctx) => {
+  const paper = ctx.match[1];
+  const margin = Number(ctx.match[2]);
+  const dpi = Number(ctx.match[3]);
+  await ctx.answerCbQuery();
+
+  const puzzle = getFinishedPuzzle(ctx.from.id);
+  if (!puzzle) {
+    ctx.reply("Готовый пазл не найден. Собери пазл заново.");
+    return;
+  }
+  if (!PAPER_SIZES[paper] || !PDF_MARGIN_OPTIONS.includes(margin) || !PDF_DPI_OPTIONS.includes(dpi)) {
+    ctx.reply("Не понял параметры. Начни заново: /pdf");
+    return;
+  }
+
+  try {
+    ctx.reply("Собираю PDF для печати...");
+    const { buffer, layout } = await generatePrintPdf(ctx.telegram, puzzle, paper, margin, dpi);
+    const size = `${Math.round(layout.trimWidth)}×${Math.round(layout.trimHeight)} мм`;
+    const flip = layout.landscape ? "по короткому краю" : "по длинному краю";
+    await ctx.replyWithDocument(
+      { source: buffer, filename: `puzzle-${paper}-${dpi}dpi.pdf` },
+      {
+        caption: `${paper}, ${dpi} DPI, пазл ${size}.${
+          layout.shrunk ? " Выбранный формат не помещается на лист — пазл уменьшен." : ""
+        }\nПечатай двусторонне с переворотом ${flip}, масштаб 100%.`
+      }
+    );
+  } catch (err) {
+    console.error("PDF generation error", err);
+    ctx.reply("Не получилось собрать PDF. Попробуй ещё раз.");
+  }
+});
+
+async function sendPieceArchive(ctx) {
+  const puzzle = getFinishedPuzzle(ctx.from.id);
+  if (!puzzle) {
+    ctx.reply("Детали вырезаются из готового пазла. Сначала доведи пазл до задней стороны.");
+    return;
+  }
+
+  try {
+    ctx.reply("Вырезаю детали...");
+    const buffer = await generatePieceArchive(ctx.telegram, puzzle);
+    await ctx.replyWithDocument(
+      { source: buffer, filename: "puzzle-pieces.zip" },
+      { caption: `Детали с прозрачным фоном: ${puzzle.rows * puzzle.cols} шт., лицевая и задняя стороны.` }
+    );
+  } catch (err) {
+    console.error("Piece export error", err);
+    ctx.reply("Не получилось вырезать детали. Попробуй ещё раз.");
+  }
+}
+
+bot.command("pieces", (ctx) => sendPieceArchive(ctx));
+
+bot.action("pieces", async (ctx) => {
+  await ctx.answerCbQuery();
+  await sendPieceArchive(ctx);
+});
+
+function showStyleOptions(ctx) {
+  const session = getSession(ctx.from.id);
+  ctx.reply(
+    `${describePieceStyle(session.pieceStyle)}\nСтиль применяется к лицевой и задней стороне и к редактору.`,
+    formatStyleOptions(session.pieceStyle)
+  );
+}
+
+async function applyPieceStyle(ctx, update) {
+  const session = getSession(ctx.from.id);
+  const current = normalizePieceStyle(session.pieceStyle);
+  const next = normalizePieceStyle({ ...current, ...update });
+
+  if (session.step !== "await_facts" || !session.puzzleEdges) {
+    session.pieceStyle = next;
+    ctx.reply(`${describePieceStyle(next)}\nПрименю к следующему пазлу.`);
+    return;
+  }
+  if (countFacts(session) > 0) {
+    ctx.reply("Стиль нарезки меняется до ввода фактов: они подбираются под форму деталей. /cancel — начать заново.");
+    return;
+  }
+  if (next.style === current.style && next.tabSize === current.tabSize && next.jitter === current.jitter) {
+    ctx.reply(`${describePieceStyle(current)}\nДальше менять некуда.`);
+    return;
+  }
+
+  session.pieceStyle = next;
+  session.step = "processing";
+  try {
+    ctx.reply(`${describePieceStyle(next)}\nПерерисовываю...`);
+    await sendFrontSide(ctx, session);
+    ctx.reply(formatFactsPrompt(session), formatFactsPromptOptions(session));
+  } catch (err) {
+    console.error("Restyle error", err);
+    session.pieceStyle = current;
+    session.step = "await_facts";
+    ctx.reply("Не получилось перерисовать пазл. Попробуй ещё раз.");
+  }
+}
+
+bot.command("style", (ctx) => showStyleOptions(ctx));
+
+function canChangePrintFormat(session) {
+  return session.step === "await_photo" || session.step === "await_size";
+}
+
+function showPrintFormatOptions(ctx) {
+  const session = getSession(ctx.from.id);
+  if (!canChangePrintFormat(session)) {
+    ctx.reply("Формат печати выбирается до генерации лицевой стороны. /cancel — начать заново.");
+    return;
+  }
+  ctx.reply(
+    `${describePrintFormat(session.printFormat)}\nВыбери формат: фото будет обрезано по центру точно под него, а текст на обороте — не мельче ${MIN_FONT_PT} pt.`,
+    formatPrintFormatOptions(session.printFormat)
+  );
+}
+
+function applyPrintFormat(ctx, printFormat) {
+  const session = getSession(ctx.from.id);
+  if (!canChangePrintFormat(session)) {
+    ctx.reply("Формат печати выбирается до генерации лицевой стороны. /cancel — начать заново.");
+    return;
+  }
+  session.printFormat = printFormat;
+  if (session.framing) updateFraming(session, {});
+  if (session.step === "await_size") {
+    ctx.reply(`${describePrintFormat(printFormat)}\n${formatSizePrompt()}`, formatOptions(getPhotoAspect(session)));
+    return;
+  }
+  ctx.reply(`${describePrintFormat(printFormat)}\nТеперь пришли фото.`);
+}
+
+function updateFraming(session, update) {
+  const current = session.framing || { rotate: 0, aspect: "photo", zoom: 1, centerX: 0.5, centerY: 0.5 };
+  const next = { ...current, ...update };
+  next.rotate = ((next.rotate % 360) + 360) % 360;
+  next.zoom = Math.min(FRAME_MAX_ZOOM, Math.max(1, next.zoom));
+  next.crop = computeCropBox(next, session.photoWidth, session.photoHeight, session.printFormat);
+  // Keep the center where the clamped box actually is, so moving back works right away.
+  next.centerX = next.crop.left + next.crop.width / 2;
+  next.centerY = next.crop.top + next.crop.height / 2;
+  session.framing = next;
+  return next;
+}
+
+function canFrame(ctx, session) {
+  if (session.step === "await_size" && session.photoFileId && session.photoWidth && session.photoHeight) return true;
+  ctx.reply("Кадрирование доступно после фото и до выбора размера пазла.");
+  return false;
+}
+
+async function showFramePreview(ctx, session) {
+  const preview = await loadFramePreview(ctx.telegram, ctx.from.id, session.photoFileId);
+  const buffer = await renderFramePreview(preview, session.framing);
+  const caption = describeFraming(session);
+  const keyboard = formatFrameOptions(session.framing, session.printFormat);
+  if (ctx.callbackQuery?.message?.photo) {
+    try {
+      await ctx.editMessageMedia({ type: "photo", media: { source: buffer }, caption }, keyboard);
+      return;
+    } catch (err) {
+      if (/not modified/i.test(err?.description || err?.message || "")) return;
+      console.warn("Frame preview edit error", err?.message || err);
+    }
+  }
+  await ctx.replyWithPhoto({ source: buffer }, { caption, ...keyboard });
+}
+
+async function changeFraming(ctx, update) {
+  const session = getSession(ctx.from.id);
+  if (!canFrame(ctx, session)) return;
+  const previous = session.framing;
+  try {
+    if (!session.framing) updateFraming(session, {});
+    updateFraming(session, typeof update === "function" ? await update(session) : update);
+    await showFramePreview(ctx, session);
+  } catch (err) {
+    console.error("Framing error", err);
+    session.framing = previous;
+    ctx.reply("Не получилось показать кадр. Попробуй ещё раз.");
+  }
+}
+
+bot.command("frame", (ctx) => changeFraming(ctx, {}));
+
+bot.action("frame", async (ctx) => {
+  await ctx.answerCbQuery();
+  await changeFraming(ctx, {});
+});
+
+bot.action(/^frame:aspect:(photo|\d+:\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!FRAME_ASPECTS.includes(ctx.match[1])) return;
+  await changeFraming(ctx, { aspect: ctx.match[1] });
+});
+
+bot.action(/^frame:move:(left|right|up|down)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await changeFraming(ctx, (session) => {
+    const { centerX, centerY } = session.framing;
+    const dx = { left: -1, right: 1 }[ctx.match[1]] || 0;
+    const dy = { up: -1, down: 1 }[ctx.match[1]] || 0;
+    return { centerX: centerX + dx * FRAME_MOVE_STEP, centerY: centerY + dy * FRAME_MOVE_STEP };
+  });
+});
+
+bot.action(/^frame:zoom:([+-])$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await changeFraming(ctx, (session) => ({
+    zoom: ctx.match[1] === "+" ? session.framing.zoom * FRAME_ZOOM_STEP : session.framing.zoom / FRAME_ZOOM_STEP
+  }));
+});
+
+bot.action("frame:rotate", async (ctx) => {
+  await ctx.answerCbQuery();
+  await changeFraming(ctx, (session) => ({ rotate: session.framing.rotate + 90, centerX: 0.5, centerY: 0.5 }));
+});
+
+bot.action(/^frame:auto:(attention|entropy)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await changeFraming(ctx, async (session) => {
+    const preview = await loadFramePreview(ctx.telegram, ctx.from.id, session.photoFileId);
+    return findAutoCrop(preview, session.framing, session.printFormat, ctx.match[1]);
+  });
+});
+
+bot.action("frame:reset", async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = getSession(ctx.from.id);
+  if (!canFrame(ctx, session)) return;
+  session.framing = null;
+  await changeFraming(ctx, {});
+});
+
+bot.action("frame:done", async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = getSession(ctx.from.id);
+  if (!canFrame(ctx, session)) return;
+  framePreviews.delete(String(ctx.from.id));
+  ctx.reply(formatSizePrompt(), formatOptions(getPhotoAspect(session)));
+});
+
+function showSettings(ctx, keyboard = null) {
+  const session = getSession(ctx.from.id);
+  const text = `${describeSettings(session.settings)}\nНастройки запоминаются и применяются ко всем следующим картинкам.`;
+  const markup = keyboard || formatSettingsOptions(session.settings);
+  if (ctx.callbackQuery?.message) {
+    return ctx.editMessageText(text, markup).catch((err) => {
+      if (!/not modified/i.test(err?.description || err?.message || "")) ctx.reply(text, markup);
+    });
+  }
+  return ctx.reply(text, markup);
+}
+
+async function updateSettings(ctx, update) {
+  const session = getSession(ctx.from.id);
+  const previous = session.settings;
+  const next = typeof update === "function" ? update(session.settings) : update;
+  const settings = normalizeSettings(next && { ...previous, ...next });
+  const refit = session.step === "await_facts" && countFacts(session) > 0 && FIT_SETTINGS.some((key) => settings[key] !== previous[key]);
+  // The open shortening question was worked out with the old settings.
+  if (refit && session.pendingRewrite) {
+    ctx.reply(`Сначала реши, что делать с фактом для детали ${session.pendingRewrite.index + 1}: кнопки выше.`);
+    return;
+  }
+  session.settings = setUserSettings(ctx.from.id, settings);
+  await showSettings(ctx);
+  if (refit) await checkFacts(ctx, session, getFactIndices(session));
+}
+
+bot.command("settings", (ctx) => showSettings(ctx));
+
+bot.action("settings", async (ctx) => {
+  await ctx.answerCbQuery();
+  await showSettings(ctx);
+});
+
+bot.action(/^settings:colors:(line|text)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = getSession(ctx.from.id);
+  await showSettings(ctx, formatSettingsColorOptions(ctx.match[1], session.settings));
+});
+
+bot.action(/^settings:(line|text):(\w+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const preset = COLOR_PRESETS[ctx.match[2]];
+  if (!preset) return;
+  const field = ctx.match[1] === "line" ? "lineColor" : "textColor";
+  // Picking a line colour by hand switches auto-contrast off, otherwise the choice would not show.
+  const update = field === "lineColor" ? { lineColor: preset.value, autoContrast: false } : { textColor: preset.value };
+  await updateSettings(ctx, update);
+});
+
+bot.action(/^settings:(width|opacity):([+-])$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const dir = ctx.match[2] === "+" ? 1 : -1;
+  await updateSettings(ctx, (settings) =>
+    ctx.match[1] === "width"
+      ? { lineWidth: settings.lineWidth + dir * LINE_WIDTH_STEP }
+      : { lineOpacity: Math.round((settings.lineOpacity + dir * LINE_OPACITY_STEP) * 100) / 100 }
+  );
+});
+
+bot.action("settings:fonts", async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = getSession(ctx.from.id);
+  await showSettings(ctx, formatSettingsFontOptions(session.settings));
+});
+
+bot.action(/^settings:font:([\w-]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!FONTS[ctx.match[1]]) return;
+  await updateSettings(ctx, { fontId: ctx.match[1] });
+});
+
+bot.action("settings:dash", async (ctx) => {
+  await ctx.answerCbQuery();
+  await updateSettings(ctx, (settings) => ({ lineDash: !settings.lineDash }));
+});
+
+bot.action("settings:auto", async (ctx) => {
+  await ctx.answerCbQuery();
+  await updateSettings(ctx, (settings) => ({ autoContrast: !settings.autoContrast }));
+});
+
+bot.action("settings:wrap", async (ctx) => {
+  await ctx.answerCbQuery();
+  const modes = Object.keys(TEXT_WRAP_MODES);
+  await updateSettings(ctx, (settings) => ({ textWrap: modes[(modes.indexOf(settings.textWrap) + 1) % modes.length] }));
+});
+
+bot.action("settings:justify", async (ctx) => {
+  await ctx.answerCbQuery();
+  await updateSettings(ctx, (settings) => ({ justify: !settings.justify }));
+});
+
+bot.action("settings:hyphenate", async (ctx) => {
+  await ctx.answerCbQuery();
+  await updateSettings(ctx, (settings) => ({ hyphenate: !settings.hyphenate }));
+});
+
+bot.action("settings:numbers", async (ctx) => {
+  await ctx.answerCbQuery();
+  const modes = Object.keys(PIECE_NUMBER_MODES);
+  await updateSettings(ctx, (settings) => ({
+    pieceNumbers: modes[(modes.indexOf(settings.pieceNumbers) + 1) % modes.length]
+  }));
+});
+
+bot.action("settings:reset", async (ctx) => {
+  await ctx.answerCbQuery();
+  await updateSettings(ctx, null);
+});
+
+function showThemeOptions(ctx) {
+  const session = getSession(ctx.from.id);
+  ctx.reply(
+    `Фон оборота: ${BACK_THEMES[session.settings.backTheme].label.toLowerCase()}. Цвет текста и линий подстроится под фон сам.`,
+    formatThemeOptions(session.settings)
+  );
+}
+
+bot.command("theme", (ctx) => showThemeOptions(ctx));
+
+bot.action("theme", async (ctx) => {
+  await ctx.answerCbQuery();
+  showThemeOptions(ctx);
+});
+
+bot.action("theme:photo", async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = getSession(ctx.from.id);
+  session.awaitingBackPhoto = true;
+  const keep = session.settings.backPhotoFileId
+    ? Markup.inlineKeyboard([Markup.button.callback("Оставить прежнее фото", "theme:photo:keep")])
+    : {};
+  ctx.reply("Пришли фото для фона оборота: оно будет бледным, чтобы текст читался.", keep);
+});
+
+bot.action("theme:photo:keep", async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = getSession(ctx.from.id);
+  session.awaitingBackPhoto = false;
+  if (!session.settings.backPhotoFileId) return;
+  session.settings = setUserSettings(ctx.from.id, { ...session.settings, backTheme: "photo" });
+  ctx.reply("Фон оборота: своё фото.");
+});
+
+bot.action(/^theme:(\w+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const theme = ctx.match[1];
+  if (!BACK_THEMES[theme]) return;
+  const session = getSession(ctx.from.id);
+  session.awaitingBackPhoto = false;
+  session.settings = setUserSettings(ctx.from.id, { ...session.settings, backTheme: theme });
+  ctx.reply(`Фон оборота: ${BACK_THEMES[theme].label.toLowerCase()}.`);
+});
+
+async function applyBackPhoto(ctx, session, source) {
+  session.awaitingBackPhoto = false;
+  const settings = { ...session.settings, backTheme: "photo", backPhotoFileId: source.fileId };
+  const image = await ensureBackImage(ctx.telegram, settings);
+  if (!image) {
+    ctx.reply("Не получилось прочитать это фото. Попробуй другое: /theme");
+    return;
+  }
+  session.settings = setUserSettings(ctx.from.id, settings);
+  ctx.reply("Фон оборота: твоё фото. Цвет текста подстроится под него.");
+}
+
+bot.action("style", async (ctx) => {
+  await ctx.answerCbQuery();
+  showStyleOptions(ctx);
+});
+
+bot.command("format", (ctx) => showPrintFormatOptions(ctx));
+
+bot.action("format", async (ctx) => {
+  await ctx.answerCbQuery();
+  showPrintFormatOptions(ctx);
+});
+
+bot.action("format:off", async (ctx) => {
+  await ctx.answerCbQuery();
+  applyPrintFormat(ctx, null);
+});
+
+bot.action(/^format:([\w-]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const key = ctx.match[1];
+  if (!PRINT_FORMATS[key]) return;
+  ctx.reply("Разрешение печати:", formatPrintDpiOptions(key));
+});
+
+bot.action(/^format:([\w-]+):(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const key = ctx.match[1];
+  const dpi = Number.parseInt(ctx.match[2], 10);
+  if (!PRINT_FORMATS[key] || !PRINT_DPI_OPTIONS.includes(dpi)) return;
+  applyPrintFormat(ctx, { key, dpi });
+});
+
+bot.action(/^style:(classic|straight|wave|irregular)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await applyPieceStyle(ctx, { style: ctx.match[1] });
+});
+
+bot.action(/^style:(tab|jitter):([+-])$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const current = normalizePieceStyle(getSession(ctx.from.id).pieceStyle);
+  const dir = ctx.match[2] === "+" ? 1 : -1;
+  const update =
+    ctx.match[1] === "tab"
+      ? { tabSize: Number((current.tabSize + dir * TAB_SIZE_STEP).toFixed(2)) }
+      : { jitter: Number((current.jitter + dir * JITTER_STEP).toFixed(2)) };
+  await applyPieceStyle(ctx, update);
+});
+
+function getCutSource(userId) {
+  const session = getSession(userId);
+  if (session.puzzleEdges) return session;
+  return getFinishedPuzzle(userId);
+}
+
+bot.action("cut", async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!getCutSource(ctx.from.id)) {
+    ctx.reply("Файл для резки появится после лицевой стороны. Пришли фото.");
+    return;
+  }
+  ctx.reply("Формат файла для резки?", formatCutFormatOptions());
+});
+
+bot.action(/^cut:(\w+)$/, async (ctx) => {
+  const format = ctx.match[1];
+  await ctx.answerCbQuery();
+  if (!CUT_FORMATS.includes(format)) {
+    ctx.reply("Не понял формат. Выбери кнопку из списка.");
+    return;
+  }
+  ctx.reply("Под какой лист? Размеры совпадут с PDF для печати.", formatCutPaperOptions(format));
+});
+
+bot.action(/^cut:(\w+):(\w+)$/, async (ctx) => {
+  const [, format, paper] = ctx.match;
+  await ctx.answerCbQuery();
+  if (!CUT_FORMATS.includes(format) || !PAPER_SIZES[paper]) {
+    ctx.reply("Не понял параметры. Начни заново с кнопки «Файл для резки».");
+    return;
+  }
+  ctx.reply("Поля такие же, как в PDF:", formatCutMarginOptions(format, paper));
+});
+
+bot.action(/^cut:(\w+):(\w+):(\d+)$/, async (ctx) => {
+  const [, format, paper] = ctx.match;
+  const margin = Number(ctx.match[3]);
+  await ctx.answerCbQuery();
+  if (!CUT_FORMATS.includes(format) || !PAPER_SIZES[paper] || !PDF_MARGIN_OPTIONS.includes(margin)) {
+    ctx.reply("Не понял параметры. Начни заново с кнопки «Файл для резки».");
+    return;
+  }
+  ctx.reply("Резать внешний контур пазла?", formatCutFrameOptions(format, paper, margin));
+});
+
+bot.action(/^cut:(\w+):(\w+):(\d+):([01])$/, async (ctx) => {
+  const [, format, paper] = ctx.match;
+  const margin = Number(ctx.match[3]);
+  const frame = ctx.match[4] === "1";
+  await ctx.answerCbQuery();
+
+  const puzzle = getCutSource(ctx.from.id);
+  if (!puzzle) {
+    ctx.reply("Пазл не найден. Пришли фото заново.");
+    return;
+  }
+  if (!CUT_FORMATS.includes(format) || !PAPER_SIZES[paper] || !PDF_MARGIN_OPTIONS.includes(margin)) {
+    ctx.reply("Не понял параметры. Начни заново с кнопки «Файл для резки».");
+    return;
+  }
+
+  try {
+    const layout = computePrintLayout(puzzle.width, puzzle.height, paper, margin, puzzle.physicalSize);
+    const content = format === "dxf" ? buildCutDxf(puzzle, layout, frame) : buildCutSvg(puzzle, layout, frame);
+    const size = `${Math.round(layout.trimWidth)}×${Math.round(layout.trimHeight)} мм`;
+    await ctx.replyWithDocument(
+      { source: Buffer.from(content), filename: `puzzle-cut-${paper}.${format}` },
+      { caption: `Линии реза в мм на листе ${paper}, пазл ${size}.` }
+    );
+  } catch (err) {
+    console.error("Cut file error", err);
+    ctx.reply("Не получилось собрать файл для резки. Попробуй ещё раз.");
+  }
+});
+
+async function sendAssemblyKey(ctx, session) {
+  if (session.settings.pieceNumbers === "off") return;
+  try {
+    const keyBuffer = await generateAssemblyKey(ctx.telegram, session);
+    await ctx.replyWithPhoto(
+      { source: keyBuffer },
+      { caption: "Ключ сборки: номер на обороте детали показывает её место на картинке." }
+    );
+  } catch (err) {
+    console.error("Assembly key error", err);
+    ctx.reply("Не получилось собрать ключ сборки, но номера на обороте есть.");
+  }
+}
+
+async function startPuzzleFromImage(ctx, session, source, intro = "") {
+  session.step = "await_size";
+  session.photoFileId = source.fileId;
+  session.facts = [];
+  session.rewrites = [];
+  session.pendingRewrite = null;
+  session.editingFact = null;
+  session.placeMode = false;
+  session.rows = null;
+  session.cols = null;
+  session.count = null;
+  session.width = null;
+  session.height = null;
+  session.seed = Math.floor(Math.random() * 1e9);
+  session.puzzlePaths = null;
+  session.puzzleEdges = null;
+  session.puzzleQuality = null;
+  session.edgeMeta = null;
+  session.fontScale = 1;
+  session.photoWidth = source.width;
+  session.photoHeight = source.height;
+  session.physicalSize = null;
+  session.framing = null;
+
+  if (!source.width || !source.height) {
+    session.step = "processing";
+    let size = null;
+    try {
+      size = await inspectImage(ctx.telegram, source.fileId);
+    } catch (err) {
+      console.warn("Image inspect error", err?.message || err);
+    }
+    // The user may have sent another picture or cancelled while the file was downloading.
+    if (getSession(ctx.from.id) !== session || session.photoFileId !== source.fileId) return;
+    if (!size?.width || !size?.height) {
+      session.step = "await_photo";
+      session.photoFileId = null;
+      ctx.reply("Не получилось прочитать картинку: файл повреждён или формат не поддерживается. Попробуй JPEG или PNG.");
+      await startQueuedImage(ctx);
+      return;
+    }
+    session.photoWidth = size.width;
+    session.photoHeight = size.height;
+    session.step = "await_size";
+  }
+
+  ctx.reply(`${intro}${formatSizePrompt()}`, formatOptions(getPhotoAspect(session)));
+}
+
+async function startQueuedImage(ctx) {
+  const queue = imageQueues.get(String(ctx.from.id));
+  if (!queue?.length) return;
+  const source = queue.shift();
+  await startPuzzleFromImage(ctx, getSession(ctx.from.id), source, `Следующее фото из альбома (в очереди ещё ${queue.length}).\n`);
+}
+
+async function importFactsFile(ctx, session, document, type) {
+  if (session.pendingRewrite) {
+    ctx.reply(`Сначала реши, что делать с фактом для детали ${session.pendingRewrite.index + 1}: кнопки выше.`);
+    return;
+  }
+  if (document.file_size > MAX_FACTS_FILE_BYTES) {
+    ctx.reply(`Файл с фактами больше ${MAX_FACTS_FILE_BYTES / 1024 / 1024} МБ. Раздели его на части.`);
+    return;
+  }
+
+  let entries;
+  try {
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const buffer = await downloadFile(fileLink.href || String(fileLink));
+    entries = parseFactsFile(type, decodeFactsFile(buffer));
+  } catch (err) {
+    console.warn("Facts file error", err?.message || err);
+    ctx.reply(
+      "Не получилось прочитать файл. Нужен TXT (факт в строке), CSV (можно с колонкой номера детали) или JSON (массив или объект «номер детали: факт»)."
+    );
+    return;
+  }
+  if (session.step !== "await_facts" || getSession(ctx.from.id) !== session) return;
+  if (entries.length === 0) {
+    ctx.reply("В файле не нашлось фактов.");
+    return;
+  }
+
+  session.editingFact = null;
+  const results = placeImportedFacts(session, entries);
+  const lines = [formatImportSummary(results), ...results.map(formatImportResult)];
+  if (results.some((result) => result.status === "shortened")) {
+    lines.push("Сокращённые факты можно поправить: /edit N.");
+  }
+  await replyInChunks(ctx, lines);
+  await addFacts(ctx, session, []);
+}
+
+async function handleIncomingImage(ctx) {
+  const factsFileType = ctx.message.document ? getFactsFileType(ctx.message.document) : null;
+  if (factsFileType) {
+    const session = getSession(ctx.from.id);
+    if (session.step === "await_facts") {
+      await importFactsFile(ctx, session, ctx.message.document, factsFileType);
+    } else {
+      ctx.reply("Файл с фактами можно прислать, когда пазл готов: после фото и выбора размера.");
+    }
+    return;
+  }
+  const source = getImageSource(ctx.message);
+  if (source.error) {
+    ctx.reply(source.error);
+    return;
+  }
+
+  const session = getSession(ctx.from.id);
+  if (session.awaitingBackPhoto) {
+    await applyBackPhoto(ctx, session, source);
+    return;
+  }
+  const groupId = ctx.message.media_group_id || null;
+  // Album items arrive as separate messages: the first one starts a puzzle, the rest wait their turn.
+  if (groupId && session.mediaGroupId === groupId && session.photoFileId) {
+    const queue = getImageQueue(ctx.from.id);
+    queue.push(source);
+    if (queue.length === 1) {
+      ctx.reply("Остальные фото из альбома поставил в очередь: из каждого будет отдельный пазл, по одному.");
+    }
+    return;
+  }
+  session.mediaGroupId = groupId;
+  await startPuzzleFromImage(ctx, session, source);
+}
+
+bot.on("photo", handleIncomingImage);
+bot.on("document", handleIncomingImage);
+bot.on("sticker", handleIncomingImage);
+
+async function sendFrontSide(ctx, session) {
+  const { buffer, width, height } = await generateFrontImage(ctx, session);
+  session.width = width;
+  session.height = height;
+  session.step = "await_facts";
+
+  const physicalNote = describePhysicalSize(session);
+  await ctx.replyWithDocument(
+    { source: buffer, filename: "puzzle-front.png" },
+    { caption: physicalNote ? `Передняя сторона · ${physicalNote}` : "Передняя сторона", ...formatFrontOptions() }
+  );
+  const physical = session.physicalSize;
+  if (physical && physical.effectiveDpi < physical.dpi * LOW_DPI_WARNING_RATIO) {
+    ctx.reply(
+      `Фото маловато для этого формата: при печати выйдет около ${physical.effectiveDpi} DPI вместо ${physical.dpi}. Картинка может быть размытой — лучше прислать оригинал файлом (без сжатия) или выбрать формат поменьше.`
+    );
+  }
+  const webAppUrl = buildWebAppUrl(session);
+  if (webAppUrl) {
+    try {
+      await ctx.reply(
+        "Открыть редактор задней стороны можно в веб‑аппе:",
+        Markup.inlineKeyboard([Markup.button.webApp("Открыть редактор", webAppUrl)])
+      );
+    } catch (err) {
+      console.warn("WebApp button error", err?.message || err);
+      ctx.reply("Редактор не открыт: укажи WEBAPP_URL с https:// в .env.");
+    }
+  }
+}
+
+async function applyGridSize(ctx, session, grid) {
+  session.rows = grid.rows;
+  session.cols = grid.cols;
+  session.count = grid.count;
+  session.fontScale = fontScaleForCount(grid.count);
+  session.step = "processing";
+
+  // Facts carried over from /history: the ones beyond the new count are dropped, the rest are fitted again.
+  const dropped = session.facts.slice(grid.count).filter(Boolean).length;
+  session.facts = session.facts.slice(0, grid.count);
+  session.rewrites = session.rewrites.slice(0, grid.count);
+
+  try {
+    ctx.reply(`Готовлю пазл на фото: ${grid.count} деталей (${grid.rows}×${grid.cols})...`);
+    await sendFrontSide(ctx, session);
+  } catch (err) {
+    console.error("Front image error", err);
+    session.step = "await_photo";
+    ctx.reply("Не получилось обработать фото. Попробуй другое изображение.");
+    return;
+  }
+
+  if (dropped > 0) {
+    ctx.reply(`Последние факты (${dropped}) не поместились в ${grid.count} деталей и в пазл не вошли.`);
+  }
+  if (countFacts(session) > 0) {
+    await checkFacts(ctx, session, getFactIndices(session));
+    return;
+  }
+  ctx.reply(formatFactsPrompt(session), formatFactsPromptOptions(session));
+}
+
+bot.action(/^size:(\d+)(?:x(\d+))?$/, async (ctx) => {
+  const session = getSession(ctx.from.id);
+  await ctx.answerCbQuery();
+
+  if (!session.photoFileId) {
+    ctx.reply("Сначала пришли фото.");
+    return;
+  }
+
+  const first = Number(ctx.match[1]);
+  const grid = ctx.match[2]
+    ? parseGridInput(`${first}x${ctx.match[2]}`, getPhotoAspect(session))
+    : parseGridInput(String(first), getPhotoAspect(session));
+
+  if (!grid || grid.error) {
+    ctx.reply("Не понял размер. Выбери кнопку из списка.");
+    return;
+  }
+
+  await applyGridSize(ctx, session, grid);
+});
+
+// Shortening is only proposed: the fact waits for the user's choice, and so does whatever came after it.
+async function askRewrite(ctx, session, index, text, candidates, next) {
+  session.pendingRewrite = {
+    index,
+    original: text,
+    candidates: candidates.slice(0, MAX_REWRITE_OPTIONS),
+    canKeep: tryFitFact(session, text, index, true).ok,
+    rest: [],
+    recheck: null,
+    ...next
+  };
+  await ctx.reply(formatRewritePrompt(session.pendingRewrite), formatRewriteOptions(session.pendingRewrite));
+}
+
+// Fit check for pieces whose fact was edited or moved; the first one that no longer fits is asked about.
+async function checkFacts(ctx, session, indices) {
+  for (let i = 0; i < indices.length; i += 1) {
+    const index = indices[i];
+    const text = session.facts[index];
+    if (!text) continue;
+    const small = session.rewrites[index]?.choice === "keep";
+    const rewrite = autoRewriteFact(text, (candidate) => tryFitFact(session, candidate, index, small));
+    if (rewrite.changed || rewrite.failed) {
+      await askRewrite(ctx, session, index, text, rewrite.candidates, { recheck: indices.slice(i + 1) });
+      return;
+    }
+  }
+  await addFacts(ctx, session, []);
+}
+
+async function replaceFact(ctx, session, index, rawText, record = null, recheck = []) {
+  const cleaned = sanitizeFact(rawText);
+  if (!cleaned) {
+    ctx.reply("В факте нет видимых символов. Пришли текст.");
+    return;
+  }
+  session.pendingRewrite = null;
+  setFact(session, index, cleaned, record);
+  await checkFacts(ctx, session, [index, ...recheck]);
+}
+
+function getIndexRange(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, idx) => from + idx);
+}
+
+async function addFacts(ctx, session, rawLines) {
+  let hadSanitized = false;
+  for (let i = 0; i < rawLines.length; i += 1) {
+    // Lines are plain strings or { index, text } for a fact sent to a chosen piece.
+    const item = rawLines[i];
+    const index = typeof item === "string" ? getFreePiece(session) : item.index;
+    if (index < 0) break;
+    const rawLine = typeof item === "string" ? item : item.text;
+    const cleaned = sanitizeFact(rawLine);
+    if (!cleaned) {
+      ctx.reply("В факте нет видимых символов. Пришли текст.");
+      return;
+    }
+    if (cleaned !== rawLine.replace(/\s+/g, " ")) hadSanitized = true;
+
+    const rewrite = autoRewriteFact(cleaned, (candidate) => tryFitFact(session, candidate, index));
+    if (rewrite.changed || rewrite.failed) {
+      if (hadSanitized) ctx.reply("Невидимые и служебные символы удалены, остальной текст сохранён.");
+      await askRewrite(ctx, session, index, cleaned, rewrite.candidates, { rest: rawLines.slice(i + 1) });
+      return;
+    }
+    setFact(session, index, cleaned, session.rewrites[index]?.choice === "own" ? session.rewrites[index] : null);
+  }
+
+  if (hadSanitized) {
+    ctx.reply("Невидимые и служебные символы удалены, остальной текст сохранён.");
+  }
+
+  if (countFacts(session) < session.count) {
+    await sendProgressPreview(ctx, session, "То, что уже влезло");
+    ctx.reply(formatFactsPrompt(session), formatFactsPromptOptions(session));
+    return;
+  }
+
+  session.step = "processing";
+
+  try {
+    ctx.reply("Готовлю обратную сторону...");
+    await ensureBackImage(ctx.telegram, session.settings);
+    const mirror = getBackMirror(session);
+    const backBuffer = await generateBackImage(session, null, mirror);
+    await ctx.replyWithDocument({ source: backBuffer, filename: "puzzle-back.png" }, { caption: "Задняя сторона" });
+    await sendAssemblyKey(ctx, session);
+    rememberFinishedPuzzle(ctx.from.id, session, null, mirror);
+    ctx.reply("Готово! Если хочешь новый пазл, пришли другое фото.", formatDoneOptions());
+    resetSession(ctx.from.id);
+    await startQueuedImage(ctx);
+  } catch (err) {
+    console.error("Back image error", err);
+    session.step = "await_facts";
+    ctx.reply("Не получилось собрать обратную сторону. Попробуй ещё раз.");
+  }
+}
+
+bot.on("text", async (ctx, next) => {
+  const session = getSession(ctx.from.id);
+  const text = ctx.message.text || "";
+
+  // Commands registered below this handler still need the update.
+  if (text.startsWith("/")) return next();
+
+  if (session.step === "await_photo") {
+    ctx.reply("Сначала пришли фото.");
+    return;
+  }
+
+  if (session.step === "await_size") {
+    const grid = parseGridInput(text, getPhotoAspect(session));
+    if (grid.error === "range") {
+      ctx.reply(`Можно от 2 до ${getMaxPieces()} деталей. Пришли другое число или сетку, например 5x8.`);
+      return;
+    }
+    if (grid.error) {
+      ctx.reply(formatSizePrompt(), formatOptions(getPhotoAspect(session)));
+      return;
+    }
+    await applyGridSize(ctx, session, grid);
+    return;
+  }
+
+  if (session.step !== "await_facts") {
+    ctx.reply("Подожди, я ещё обрабатываю фото.");
+    return;
+  }
+
+  const rawLines = text
+    .split(/\n+/)
+    .map((line) => line.trim())
+    .filter(Boolean);
 
-function buildWebAppUrl(session) {
-  if (!WEBAPP_URL) return "";
-  let base = WEBAPP_URL.trim();
-  if (!/^https?:\/\//i.test(base)) {
-    base = `https://${base}`;
+  if (rawLines.length === 0) {
+    ctx.reply("Факт пустой. Пришли текст.");
+    return;
   }
-  if (!/^https:\/\//i.test(base)) {
-    return "";
+
+  // A message sent instead of answering the shortening question replaces that fact.
+  const pending = session.pendingRewrite;
+  if (pending?.recheck) {
+    const record = { original: pending.original, choice: "own" };
+    await replaceFact(ctx, session, pending.index, rawLines.join(" "), record, pending.recheck);
+    return;
   }
-  base = base.replace(/\/+$/, "");
-  const params = new URLSearchParams({
-    pid: session.id,
-    rows: String(session.rows || ""),
-    cols: String(session.cols || ""),
-    width: String(session.width || ""),
-    height: String(session.height || ""),
-    seed: String(session.seed || ""),
-    count: String(session.count || "")
-  });
-  return `${base}/editor.html?${params.toString()}`;
-}
+  if (pending) {
+    session.pendingRewrite = null;
+    session.rewrites[pending.index] = { original: pending.original, choice: "own" };
+    await addFacts(ctx, session, rawLines.concat(pending.rest));
+    return;
+  }
+  if (session.editingFact !== null) {
+    const index = session.editingFact;
+    session.editingFact = null;
+    if (index < session.count) {
+      await replaceFact(ctx, session, index, rawLines.join(" "));
+      return;
+    }
+  }
+  if (session.placeMode) {
+    const items = rawLines.map((line) => {
+      const match = line.match(PLACE_LINE_PATTERN);
+      if (!match) return line;
+      return { index: parsePieceRef(match[1], session.rows, session.cols), ref: match[1], text: match[2] };
+    });
+    const wrong = items.find((item) => typeof item !== "string" && item.index < 0);
+    if (wrong) {
+      ctx.reply(`Детали ${wrong.ref} нет: в этом пазле детали от 1 до ${session.count}. Ничего не добавил, поправь номер.`);
+      return;
+    }
+    await addFacts(ctx, session, items);
+    return;
+  }
+  await addFacts(ctx, session, rawLines);
+});
 
-async function sendProgressPreview(ctx, session, caption) {
+async function startPlaceMode(ctx) {
+  const session = getSession(ctx.from.id);
+  if (session.step !== "await_facts") {
+    ctx.reply("Выбирать детали можно, когда пазл готов к фактам: после фото и выбора размера.");
+    return;
+  }
+  session.placeMode = true;
   try {
-    const backBuffer = await generateBackImage(session);
-    await ctx.replyWithDocument(
-      { source: backBuffer, filename: "puzzle-back-preview.png" },
-      { caption: caption || "Промежуточный результат" }
-    );
+    const keyBuffer = await generateAssemblyKey(ctx.telegram, session);
+    await ctx.replyWithPhoto({ source: keyBuffer }, { caption: "Номера деталей на фото. Факт окажется на обороте именно этой детали." });
   } catch (err) {
-    console.error("Preview generation error", err);
+    console.error("Piece map error", err);
   }
+  const note = canShowPieceGrid(session) ? "" : "\nДеталей слишком много для кнопок, пиши номер в начале строки.";
+  ctx.reply(`${formatFactsPrompt(session)}${note}`, formatFactsPromptOptions(session));
 }
 
-const bot = new Telegraf(BOT_TOKEN);
+bot.command("place", (ctx) => startPlaceMode(ctx));
 
-bot.start((ctx) => {
-  resetSession(ctx.from.id);
-  ctx.reply(
-    "Привет! Пришли фото, и я сделаю пазл: передняя сторона с пазами и задняя с фактами.\n\nКоманды: /start, /cancel",
-    Markup.removeKeyboard()
-  );
+bot.action("place", async (ctx) => {
+  await ctx.answerCbQuery();
+  await startPlaceMode(ctx);
 });
 
-bot.command("cancel", (ctx) => {
-  resetSession(ctx.from.id);
-  ctx.reply("Сбросил текущий пазл. Пришли новое фото, чтобы начать заново.");
+bot.action("place:off", async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = getSession(ctx.from.id);
+  session.placeMode = false;
+  session.editingFact = null;
+  if (session.step === "await_facts") ctx.reply(formatFactsPrompt(session), formatFactsPromptOptions(session));
 });
 
-bot.on("photo", async (ctx) => {
+bot.action(/^place:(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
   const session = getSession(ctx.from.id);
-  const photos = ctx.message.photo || [];
-  const largest = photos[photos.length - 1];
-
-  if (!largest) {
-    ctx.reply("Не вижу фото. Пришли картинку ещё раз.");
+  const index = Number(ctx.match[1]) - 1;
+  if (session.step !== "await_facts" || index >= session.count) {
+    ctx.reply("Эта сетка уже неактуальна. Открой выбор деталей заново: /place");
     return;
   }
-
-  session.step = "await_size";
-  session.photoFileId = largest.file_id;
-  session.facts = [];
-  session.rows = null;
-  session.cols = null;
-  session.count = null;
-  session.width = null;
-  session.height = null;
-  session.seed = Math.floor(Math.random() * 1e9);
-  session.puzzlePaths = null;
-  session.edgeMeta = null;
-  session.fontScale = 1;
-
-  ctx.reply("Сколько деталей в пазле?", formatOptions());
+  if (session.pendingRewrite) {
+    ctx.reply(`Сначала реши, что делать с фактом для детали ${session.pendingRewrite.index + 1}: кнопки выше.`);
+    return;
+  }
+  session.editingFact = index;
+  const current = session.facts[index] ? `Сейчас там: “${session.facts[index]}”. ` : "";
+  ctx.reply(`Деталь ${index + 1}. ${current}Пришли факт для неё.`);
 });
 
-bot.action(/size:(\d+)/, async (ctx) => {
-  const session = getSession(ctx.from.id);
-  const count = Number(ctx.match[1]);
-  const option = SIZE_OPTIONS.find((item) => item.count === count);
-
+bot.action(/^rewrite:(\d+):(\d+|keep|own)$/, async (ctx) => {
   await ctx.answerCbQuery();
+  const session = getSession(ctx.from.id);
+  const pending = session.pendingRewrite;
+  if (session.step !== "await_facts" || !pending || pending.index !== Number(ctx.match[1])) {
+    ctx.reply("Этот вопрос уже неактуален.");
+    return;
+  }
 
-  if (!session.photoFileId) {
-    ctx.reply("Сначала пришли фото.");
+  const choice = ctx.match[2];
+  if (choice === "own") {
+    session.rewrites[pending.index] = { original: pending.original, choice: "own" };
+    const rest = pending.rest.length > 0 ? ` Остальные факты из сообщения (${pending.rest.length}) добавлю после него.` : "";
+    ctx.reply(`Пришли новый короткий факт для детали ${pending.index + 1}.${rest}`);
     return;
   }
 
-  if (!option) {
-    ctx.reply("Не понял размер. Выбери кнопку из списка.");
+  const text = choice === "keep" ? pending.canKeep && pending.original : pending.candidates[Number(choice)];
+  if (!text) return;
+  session.pendingRewrite = null;
+  setFact(session, pending.index, text, { original: pending.original, choice: choice === "keep" ? "keep" : "accept", text });
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  if (pending.recheck) {
+    await checkFacts(ctx, session, pending.recheck);
     return;
   }
+  await addFacts(ctx, session, pending.rest);
+});
 
-  session.rows = option.rows;
-  session.cols = option.cols;
-  session.count = option.count;
-  session.fontScale = FONT_SCALE_BY_COUNT[option.count] || 1;
-  session.step = "processing";
+function getEditableSession(ctx) {
+  const session = getSession(ctx.from.id);
+  if (session.step !== "await_facts" || countFacts(session) === 0) {
+    ctx.reply("Факты можно менять, пока пазл собирается: сначала пришли фото, выбери размер и добавь хотя бы один факт.");
+    return null;
+  }
+  if (session.pendingRewrite) {
+    ctx.reply(`Сначала реши, что делать с фактом для детали ${session.pendingRewrite.index + 1}: кнопки выше.`);
+    return null;
+  }
+  return session;
+}
 
-  try {
-    ctx.reply("Готовлю пазл на фото...");
-    const { buffer, width, height } = await generateFrontImage(ctx, session);
-    session.width = width;
-    session.height = height;
-    session.step = "await_facts";
+function getCommandArgs(ctx) {
+  return (ctx.message?.text || "").replace(/^\/\w+(?:@\w+)?\s*/, "");
+}
 
-    await ctx.replyWithDocument({ source: buffer, filename: "puzzle-front.png" }, { caption: "Передняя сторона" });
-    const webAppUrl = buildWebAppUrl(session);
-    if (webAppUrl) {
-      try {
-        await ctx.reply(
-          "Открыть редактор задней стороны можно в веб‑аппе:",
-          Markup.inlineKeyboard([Markup.button.webApp("Открыть редактор", webAppUrl)])
-        );
-      } catch (err) {
-        console.warn("WebApp button error", err?.message || err);
-        ctx.reply("Редактор не открыт: укажи WEBAPP_URL с https:// в .env.");
-      }
+// Piece numbers from a command, 1-based in the text and 0-based in the result.
+function parseFactNumbers(session, args, count, allowEmpty = false) {
+  const numbers = args.trim().split(/\s+/).slice(0, count).map(Number);
+  const valid = (n) => Number.isInteger(n) && n >= 1 && n <= session.facts.length && (allowEmpty || session.facts[n - 1]);
+  if (numbers.length < count || !numbers.every(valid)) return null;
+  return numbers.map((n) => n - 1);
+}
+
+function formatFactsList(session) {
+  const mode = session.settings.pieceNumbers;
+  return session.facts.flatMap((fact, index) => {
+    if (!fact) return [];
+    const code = mode === "code" ? ` (${formatPieceLabel(Math.floor(index / session.cols), index % session.cols, session.cols, mode)})` : "";
+    const note = session.rewrites[index]?.choice === "keep" ? " — мельче обычного" : "";
+    return [`${index + 1}${code}. ${fact}${note}`];
+  });
+}
+
+function formatFactsOptions(session) {
+  return Markup.inlineKeyboard(
+    session.facts.flatMap((fact, index) =>
+      fact
+        ? [
+            [
+              Markup.button.callback(`Изменить ${index + 1}`, `facts:edit:${index + 1}`),
+              Markup.button.callback(`Удалить ${index + 1}`, `facts:delete:${index + 1}`)
+            ]
+          ]
+        : []
+    )
+  );
+}
+
+async function replyInChunks(ctx, lines) {
+  const chunks = [lines[0]];
+  for (const line of lines.slice(1)) {
+    if (chunks[chunks.length - 1].length + line.length + 1 <= MAX_MESSAGE_LENGTH) {
+      chunks[chunks.length - 1] += `\n${line}`;
+    } else {
+      chunks.push(line);
     }
-    ctx.reply(formatFactsPrompt(session));
-  } catch (err) {
-    console.error("Front image error", err);
-    session.step = "await_photo";
-    ctx.reply("Не получилось обработать фото. Попробуй другое изображение.");
   }
-});
+  for (const chunk of chunks) await ctx.reply(chunk);
+}
 
-bot.on("text", async (ctx) => {
-  const session = getSession(ctx.from.id);
-  const text = ctx.message.text || "";
+async function showFacts(ctx, session) {
+  await replyInChunks(ctx, [`Факты ${countFacts(session)}/${session.count} (номер = деталь):`, ...formatFactsList(session)]);
+  await ctx.reply(
+    "Изменить: /edit N или /edit N новый текст\nУдалить: /delete N\nПоменять местами: /swap N M\nПеренести на место: /move N M",
+    countFacts(session) <= FACT_BUTTONS_MAX ? formatFactsOptions(session) : undefined
+  );
+}
+
+function startFactEdit(ctx, session, index) {
+  session.editingFact = index;
+  ctx.reply(`Сейчас в детали ${index + 1}: “${session.facts[index]}”\nПришли новый текст.`);
+}
 
-  if (text.startsWith("/")) return;
+// Other facts stay on their pieces; the freed piece gets the next fact sent.
+async function deleteFact(ctx, session, index) {
+  session.editingFact = null;
+  setFact(session, index, "");
+  ctx.reply(`Факт ${index + 1} удалён, деталь ${index + 1} свободна: следующий факт попадёт в неё.`);
+  await addFacts(ctx, session, []);
+}
 
-  if (session.step === "await_photo") {
-    ctx.reply("Сначала пришли фото.");
+bot.command("facts", async (ctx) => {
+  const session = getEditableSession(ctx);
+  if (session) await showFacts(ctx, session);
+});
+
+bot.command("edit", async (ctx) => {
+  const session = getEditableSession(ctx);
+  if (!session) return;
+  const match = getCommandArgs(ctx).match(/^(\d+)\s*([\s\S]*)$/);
+  const [index] = (match && parseFactNumbers(session, match[1], 1)) || [];
+  if (index === undefined) {
+    ctx.reply(`Напиши номер детали с фактом (от 1 до ${session.facts.length}): /edit 3 или /edit 3 новый текст.`);
     return;
   }
-
-  if (session.step === "await_size") {
-    ctx.reply("Выбери размер пазла кнопкой ниже.");
+  if (!match[2].trim()) {
+    startFactEdit(ctx, session, index);
     return;
   }
+  session.editingFact = null;
+  await replaceFact(ctx, session, index, match[2]);
+});
 
-  if (session.step !== "await_facts") {
-    ctx.reply("Подожди, я ещё обрабатываю фото.");
+bot.command("delete", async (ctx) => {
+  const session = getEditableSession(ctx);
+  if (!session) return;
+  const [index] = parseFactNumbers(session, getCommandArgs(ctx), 1) || [];
+  if (index === undefined) {
+    ctx.reply(`Напиши номер детали с фактом (от 1 до ${session.facts.length}): /delete 3.`);
     return;
   }
+  await deleteFact(ctx, session, index);
+});
 
-  const rawLines = text
-    .split(/\n+/)
-    .map((line) => line.trim())
-    .filter(Boolean);
+bot.command("swap", async (ctx) => {
+  const session = getEditableSession(ctx);
+  if (!session) return;
+  const numbers = parseFactNumbers(session, getCommandArgs(ctx), 2, true);
+  if (!numbers || numbers[0] === numbers[1]) {
+    ctx.reply(`Напиши два разных номера от 1 до ${session.facts.length}: /swap 2 5.`);
+    return;
+  }
+  const [a, b] = numbers;
+  session.editingFact = null;
+  [session.facts[a], session.facts[b]] = [session.facts[b], session.facts[a]];
+  [session.rewrites[a], session.rewrites[b]] = [session.rewrites[b], session.rewrites[a]];
+  ctx.reply(`Факты ${a + 1} и ${b + 1} поменялись местами.`);
+  await checkFacts(ctx, session, [a, b]);
+});
 
-  if (rawLines.length === 0) {
-    ctx.reply("Факт пустой. Пришли текст.");
+bot.command("move", async (ctx) => {
+  const session = getEditableSession(ctx);
+  if (!session) return;
+  const numbers = parseFactNumbers(session, getCommandArgs(ctx), 2, true);
+  if (!numbers || numbers[0] === numbers[1]) {
+    ctx.reply(`Напиши, какой факт и на какое место перенести (от 1 до ${session.facts.length}): /move 5 2.`);
     return;
   }
+  const [from, to] = numbers;
+  session.editingFact = null;
+  session.facts.splice(to, 0, ...session.facts.splice(from, 1));
+  session.rewrites.splice(to, 0, ...session.rewrites.splice(from, 1));
+  ctx.reply(`Факт ${from + 1} теперь на месте ${to + 1}, факты между ними сдвинулись.`);
+  await checkFacts(ctx, session, getIndexRange(Math.min(from, to), Math.max(from, to)));
+});
 
-  const cellWidth = session.width / session.cols;
-  const cellHeight = session.height / session.rows;
-  const basePadding = Math.max(10, Math.floor(Math.min(cellWidth, cellHeight) * 0.14));
-  let hadSanitized = false;
+bot.action(/^facts:(edit|delete):(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = getEditableSession(ctx);
+  if (!session) return;
+  const [index] = parseFactNumbers(session, ctx.match[2], 1) || [];
+  if (index === undefined) {
+    ctx.reply("Такого факта уже нет. Открой список заново: /facts");
+    return;
+  }
+  if (ctx.match[1] === "edit") {
+    startFactEdit(ctx, session, index);
+    return;
+  }
+  await deleteFact(ctx, session, index);
+});
 
-  let tooLong = null;
-  const autoRewrites = [];
-  for (const rawLine of rawLines) {
-    if (session.facts.length >= session.count) break;
-    const cleaned = sanitizeFact(rawLine);
-    if (!cleaned) {
-      ctx.reply("Эмодзи и спецсимволы удаляются. Пришли текст только буквами/цифрами и пунктуацией.");
-      return;
-    }
-    if (cleaned !== rawLine) hadSanitized = true;
-
-    const targetIndex = session.facts.length + 1;
-    const row = Math.floor((targetIndex - 1) / session.cols);
-    const col = (targetIndex - 1) % session.cols;
-    const tryFit = (candidate) => {
-      const placement = findBestPlacement(
-        candidate,
-        row,
-        col,
-        cellWidth,
-        cellHeight,
-        session.rows,
-        session.cols,
-        session.edgeMeta,
-        basePadding,
-        session.fontScale
-      );
-      return { ok: !placement.fit.truncated, fit: placement.fit, placement };
-    };
-    const initial = tryFit(cleaned);
-    if (!initial.ok) {
-      const rewrite = autoRewriteFact(cleaned, tryFit);
-      if (!rewrite.failed && rewrite.fit && !rewrite.fit.truncated) {
-        session.facts.push(rewrite.text);
-        if (rewrite.text !== cleaned) {
-          autoRewrites.push({ index: targetIndex, from: cleaned, to: rewrite.text });
-        }
-        continue;
-      }
-      tooLong = { index: targetIndex, text: cleaned };
-      break;
+async function sendHistoryRecord(ctx, record, number) {
+  const caption = describeHistoryRecord(record, number);
+  const options = formatHistoryOptions(record);
+  if (record.thumbFileId) {
+    try {
+      await ctx.replyWithPhoto(record.thumbFileId, { caption, ...options });
+      return false;
+    } catch (err) {
+      console.warn("History thumbnail resend error", err?.message || err);
     }
-    session.facts.push(cleaned);
   }
+  try {
+    const thumb = await generateFinishedFront(ctx.telegram, hydratePuzzle(record), HISTORY_THUMB_SIDE);
+    const message = await ctx.replyWithPhoto({ source: thumb }, { caption, ...options });
+    // Telegram keeps the uploaded thumbnail, so the next /history sends it by file id.
+    record.thumbFileId = message?.photo?.at(-1)?.file_id || null;
+    return Boolean(record.thumbFileId);
+  } catch (err) {
+    console.error("History thumbnail error", err);
+    await ctx.reply(caption, options);
+    return false;
+  }
+}
 
-  if (hadSanitized) {
-    ctx.reply("Эмодзи и лишние спецсимволы удалены. Оставлены буквы, цифры и пунктуация.");
+async function showHistory(ctx) {
+  const records = getPuzzleHistory(ctx.from.id);
+  if (records.length === 0) {
+    ctx.reply("Готовых пазлов пока нет. Пришли фото, и первый появится здесь.");
+    return;
+  }
+  await ctx.reply(`Последние готовые пазлы (${records.length}), новые сверху:`);
+  let changed = false;
+  for (let i = 0; i < records.length; i += 1) {
+    if (await sendHistoryRecord(ctx, records[i], i + 1)) changed = true;
   }
+  if (changed) savePuzzleHistory();
+}
+
+function getHistoryRecord(ctx) {
+  const record = findHistoryRecord(ctx.from.id, ctx.match[1]);
+  if (!record) ctx.reply("Этого пазла уже нет в истории. Открой /history заново.");
+  return record;
+}
 
-  if (autoRewrites.length > 0) {
-    const lines = autoRewrites
-      .map((item) => `#${item.index}: “${item.from}” → “${item.to}”`)
-      .slice(0, 5)
-      .join("\n");
-    ctx.reply(`Слишком длинные факты я сократил автоматически:\n${lines}`);
+// Re-cutting or editing a puzzle from history takes over the session, so unfinished work is never overwritten.
+function getFreeSession(ctx) {
+  const session = getSession(ctx.from.id);
+  if (session.step !== "await_photo") {
+    ctx.reply("Сейчас собирается другой пазл. Доведи его до конца или сбрось: /cancel");
+    return null;
   }
+  return session;
+}
 
-  if (tooLong) {
-    await ctx.reply(
-      `Факт для детали ${tooLong.index} слишком длинный и не влез.\nВот текст: “${tooLong.text}”\nПришли новый короткий факт для этой детали.`
+function loadHistoryRecord(session, record) {
+  Object.assign(session, {
+    photoFileId: record.photoFileId,
+    photoWidth: record.photoWidth,
+    photoHeight: record.photoHeight,
+    framing: record.framing,
+    printFormat: record.printFormat,
+    physicalSize: record.physicalSize,
+    pieceStyle: normalizePieceStyle(record.pieceStyle),
+    rows: record.rows,
+    cols: record.cols,
+    count: record.count,
+    fontScale: record.fontScale,
+    seed: record.seed,
+    facts: record.facts.slice(),
+    rewrites: record.rewrites.slice(),
+    pendingRewrite: null,
+    editingFact: null,
+    placeMode: false
+  });
+}
+
+bot.command("history", (ctx) => showHistory(ctx));
+
+bot.action(/^history:get:([\w-]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const record = getHistoryRecord(ctx);
+  if (!record) return;
+
+  try {
+    ctx.reply("Собираю пазл заново...");
+    const puzzle = hydratePuzzle(record);
+    const front = await generateFinishedFront(ctx.telegram, puzzle);
+    const physicalNote = describePhysicalSize(puzzle);
+    await ctx.replyWithDocument(
+      { source: front, filename: "puzzle-front.png" },
+      { caption: physicalNote ? `Передняя сторона · ${physicalNote}` : "Передняя сторона" }
     );
-    await sendProgressPreview(ctx, session, "То, что уже влезло");
-    ctx.reply(formatFactsPrompt(session));
+    await ensureBackImage(ctx.telegram, puzzle.settings);
+    const back = await generateBackImage(puzzle, puzzle.placements, getBackMirror(puzzle));
+    await ctx.replyWithDocument({ source: back, filename: "puzzle-back.png" }, { caption: "Задняя сторона" });
+    await sendAssemblyKey(ctx, puzzle);
+    finishedPuzzles.set(String(ctx.from.id), puzzle);
+    ctx.reply("Готово! PDF, детали и файл для резки теперь делаются из этого пазла.", formatDoneOptions());
+  } catch (err) {
+    console.error("History render error", err);
+    ctx.reply("Не получилось собрать пазл. Попробуй ещё раз.");
+  }
+});
+
+bot.action(/^history:reroll:([\w-]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const record = getHistoryRecord(ctx);
+  const session = record && getFreeSession(ctx);
+  if (!session) return;
+
+  loadHistoryRecord(session, record);
+  session.seed = Math.floor(Math.random() * 1e9);
+  session.step = "processing";
+  try {
+    ctx.reply(`Режу заново: ${session.count} деталей (${session.rows}×${session.cols}), факты те же...`);
+    await sendFrontSide(ctx, session);
+  } catch (err) {
+    console.error("Front image error", err);
+    resetSession(ctx.from.id);
+    ctx.reply("Не получилось собрать пазл. Попробуй ещё раз.");
     return;
   }
+  await checkFacts(ctx, session, getFactIndices(session));
+});
 
-  if (session.facts.length < session.count) {
-    await sendProgressPreview(ctx, session, "То, что уже влезло");
-    ctx.reply(formatFactsPrompt(session));
+bot.action(/^history:size:([\w-]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const record = getHistoryRecord(ctx);
+  const session = record && getFreeSession(ctx);
+  if (!session) return;
+
+  loadHistoryRecord(session, record);
+  // The new grid numbers pieces differently, so the facts go in order from the first piece.
+  const indices = getFactIndices(session);
+  session.facts = indices.map((index) => session.facts[index]);
+  session.rewrites = indices.map((index) => session.rewrites[index] || null);
+  session.rows = null;
+  session.cols = null;
+  session.count = null;
+  session.step = "await_size";
+  ctx.reply(
+    `Факты (${indices.length}) перенесу в новый пазл и подгоню под новый размер деталей.\n${formatSizePrompt()}`,
+    formatOptions(getPhotoAspect(session))
+  );
+});
+
+bot.action(/^history:edit:([\w-]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const record = getHistoryRecord(ctx);
+  const session = record && getFreeSession(ctx);
+  if (!session) return;
+
+  const puzzle = hydratePuzzle(record);
+  loadHistoryRecord(session, puzzle);
+  session.width = puzzle.width;
+  session.height = puzzle.height;
+  session.lineColors = puzzle.lineColors;
+  session.puzzlePaths = puzzle.puzzlePaths;
+  session.puzzleEdges = puzzle.puzzleEdges;
+  session.puzzleQuality = puzzle.puzzleQuality;
+  session.edgeMeta = puzzle.edgeMeta;
+  session.placements = record.placements;
+  session.step = "await_facts";
+
+  const webAppUrl = buildWebAppUrl(session);
+  if (!webAppUrl) {
+    resetSession(ctx.from.id);
+    ctx.reply("Редактор не настроен: укажи WEBAPP_URL с https:// в .env.");
     return;
   }
+  try {
+    await ctx.reply(
+      "Пазл снова открыт: нарезка и факты те же. Разложи текст в редакторе и нажми «Готово» — пришлю новую заднюю сторону.",
+      Markup.inlineKeyboard([Markup.button.webApp("Открыть редактор", webAppUrl)])
+    );
+  } catch (err) {
+    console.warn("WebApp button error", err?.message || err);
+    resetSession(ctx.from.id);
+    ctx.reply("Редактор не открыт: укажи WEBAPP_URL с https:// в .env.");
+  }
+});
 
-  session.step = "processing";
+// The editor submits over HTTP, where there is no update to reply to: this stands in for ctx
+// and sends to the user's private chat instead.
+function createChatContext(userId) {
+  const chatId = Number(userId);
+  return {
+    from: { id: chatId },
+    telegram: bot.telegram,
+    reply: (text, extra) => bot.telegram.sendMessage(chatId, text, extra),
+    replyWithDocument: (document, extra) => bot.telegram.sendDocument(chatId, document, extra),
+    replyWithPhoto: (photo, extra) => bot.telegram.sendPhoto(chatId, photo, extra)
+  };
+}
+
+function applyEditorTheme(ctx, session, theme) {
+  if (!BACK_THEMES[theme] || theme === session.settings.backTheme) return;
+  if (theme !== "photo" || session.settings.backPhotoFileId) {
+    session.settings = setUserSettings(ctx.from.id, { ...session.settings, backTheme: theme });
+  }
+}
 
+async function sendEditorBack(ctx, session, layout) {
+  const step = session.step;
+  session.step = "processing";
   try {
-    ctx.reply("Готовлю обратную сторону...");
-    const backBuffer = await generateBackImage(session);
+    applyEditorTheme(ctx, session, layout.theme);
+    ctx.reply("Готовлю заднюю сторону из твоей раскладки...");
+    await ensureBackImage(ctx.telegram, session.settings);
+    const backBuffer = await generateBackImage(session, layout.placements, layout.mirror);
     await ctx.replyWithDocument({ source: backBuffer, filename: "puzzle-back.png" }, { caption: "Задняя сторона" });
-    ctx.reply("Готово! Если хочешь новый пазл, пришли другое фото.");
-    resetSession(ctx.from.id);
   } catch (err) {
-    console.error("Back image error", err);
-    session.step = "await_facts";
-    ctx.reply("Не получилось собрать обратную сторону. Попробуй ещё раз.");
+    session.step = step;
+    throw err;
   }
-});
+  await sendAssemblyKey(ctx, session);
+  rememberFinishedPuzzle(ctx.from.id, session, layout.placements, layout.mirror);
+  ctx.reply("Готово! Если хочешь новый пазл, пришли другое фото.", formatDoneOptions());
+  resetSession(ctx.from.id);
+  await startQueuedImage(ctx);
+}
+
+// Both ways the editor submits a layout end here, over HTTP and through Telegram sendData, so a
+// double submit cannot start a second render of the same puzzle.
+async function submitEditorLayout(ctx, session, layout) {
+  if (session.step === "processing") return "busy";
+  if (layout.placements.length === 0) return "empty";
+  await sendEditorBack(ctx, session, layout);
+  return "ok";
+}
 
 bot.on("message", async (ctx) => {
   const data = ctx.message?.web_app_data?.data;
@@ -1183,60 +5298,58 @@ bot.on("message", async (ctx) => {
     return;
   }
 
-  const session = sessionsById.get(pid);
-  if (!session) {
+  const session = getSessionById(pid);
+  if (!session?.edgeMeta) {
     ctx.reply("Сессия пазла не найдена. Открой редактор заново.");
     return;
   }
-  if (session.userId && String(session.userId) !== String(ctx.from.id)) {
+  if (String(session.userId) !== String(ctx.from.id)) {
     ctx.reply("Это не твой пазл.");
     return;
   }
 
-  const scale = Number(payload.scale || 1);
-  const mirror = Boolean(payload.mirror);
-  const items = Array.isArray(payload.items) ? payload.items : [];
-  const placements = items
-    .map((item) => ({
-      x: Number(item.x || 0) * scale,
-      y: Number(item.y || 0) * scale,
-      fontSize: Number(item.fontSize || 16) * scale,
-      lineHeight: Number(item.lineHeight || 0) * scale,
-      rotation: Number(item.rotation || 0),
-      text: String(item.text || "")
-    }))
-    .filter((item) => item.text && Number.isFinite(item.x) && Number.isFinite(item.y) && Number.isFinite(item.fontSize));
-
-  if (placements.length === 0) {
-    ctx.reply("В веб‑аппе нет текста. Добавь хотя бы один факт и нажми «Готово».");
-    return;
-  }
-
   try {
-    ctx.reply("Готовлю заднюю сторону из твоей раскладки...");
-    const backBuffer = await generateBackImage(session, placements, mirror);
-    await ctx.replyWithDocument({ source: backBuffer, filename: "puzzle-back.png" }, { caption: "Задняя сторона" });
-    ctx.reply("Готово! Если хочешь новый пазл, пришли другое фото.");
-    resetSession(ctx.from.id);
+    const result = await submitEditorLayout(ctx, session, parseEditorLayout(payload));
+    if (result === "busy") ctx.reply("Задняя сторона уже собирается, подожди немного.");
+    if (result === "empty") ctx.reply("В веб‑аппе нет текста. Добавь хотя бы один факт и нажми «Готово».");
   } catch (err) {
     console.error("WebApp render error", err);
     ctx.reply("Не получилось собрать изображение. Попробуй ещё раз.");
   }
 });
 
-const webServer = http.createServer(serveStatic);
-webServer.listen(PORT, () => {
-  console.log(`Web app server running on port ${PORT}`);
-});
+if (IS_MAIN_MODULE) {
+  loadSessions();
+  setInterval(saveSessions, SESSION_SAVE_INTERVAL_MS).unref();
+  setInterval(expireSessions, SESSION_CLEANUP_INTERVAL_MS).unref();
+
+  const webServer = http.createServer(serveStatic);
+  webServer.listen(PORT, () => {
+    console.log(`Web app server running on port ${PORT}`);
+  });
 
-bot.launch();
-console.log("Puzzle bot started");
+  bot.launch();
+  console.log("Puzzle bot started");
 
-process.once("SIGINT", () => {
-  webServer.close();
-  bot.stop("SIGINT");
-});
-process.once("SIGTERM", () => {
-  webServer.close();
-  bot.stop("SIGTERM");
-});
+  process.once("SIGINT", () => {
+    webServer.close();
+    bot.stop("SIGINT");
+    flushSessions();
+  });
+  process.once("SIGTERM", () => {
+    webServer.close();
+    bot.stop("SIGTERM");
+    flushSessions();
+  });
+}
+
+export {
+  balanceLines,
+  buildPuzzleData,
+  parseCsvFacts,
+  parseFactsFile,
+  parseGridInput,
+  pickGrid,
+  validateInitData,
+  wrapTextByWidth
+};
@@ -0,0 +1,45 @@
+﻿import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsvFacts, parseFactsFile } from "../src/puzzleBot.js";
+
+test("quoted CSV fields keep delimiters, doubled quotes and line breaks", () => {
+  const text = 'piece,fact\n3,"Кот, который гулял сам по себе"\n4,"Он сказал ""мяу"""\n5,"первая строка\nвторая"\n';
+  assert.deepEqual(parseCsvFacts(text), [
+    { label: "строка 2", piece: "3", text: "Кот, который гулял сам по себе" },
+    { label: "строка 3", piece: "4", text: 'Он сказал "мяу"' },
+    { label: "строка 4", piece: "5", text: "первая строка\nвторая" }
+  ]);
+});
+
+test("CSV delimiter is taken from the first line", () => {
+  assert.deepEqual(parseCsvFacts('деталь;факт\r\n1;"a;b"\r\n2;c, d\r\n'), [
+    { label: "строка 2", piece: "1", text: "a;b" },
+    { label: "строка 3", piece: "2", text: "c, d" }
+  ]);
+  assert.deepEqual(parseCsvFacts("деталь\tфакт\n1\tтаб"), [{ label: "строка 2", piece: "1", text: "таб" }]);
+});
+
+test("CSV without a header takes a leading number as the piece", () => {
+  assert.deepEqual(parseCsvFacts('7;"a;b"\nбез номера, с запятой\n\n'), [
+    { label: "строка 1", piece: "7", text: "a;b" },
+    { label: "строка 2", piece: null, text: "без номера, с запятой" }
+  ]);
+});
+
+test("text files give one fact per non-empty line", () => {
+  assert.deepEqual(parseFactsFile("txt", "один\r\n\r\nдва\n"), [
+    { label: "строка 1", piece: null, text: "один" },
+    { label: "строка 3", piece: null, text: "два" }
+  ]);
+});
+
+test("JSON facts come from an array or an object of pieces", () => {
+  assert.deepEqual(parseFactsFile("json", '[{"piece":2,"text":"x"},{"fact":"y"},"z"]'), [
+    { label: "элемент 1", piece: 2, text: "x" },
+    { label: "элемент 2", piece: null, text: "y" },
+    { label: "элемент 3", piece: null, text: "z" }
+  ]);
+  assert.deepEqual(parseFactsFile("json", '{"3":"z"}'), [{ label: "ключ 3", piece: "3", text: "z" }]);
+  assert.throws(() => parseFactsFile("json", '"факт"'));
+  assert.throws(() => parseFactsFile("json", "[1,"), SyntaxError);
+});
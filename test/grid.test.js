@@ -0,0 +1,38 @@
+﻿import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGridInput, pickGrid } from "../src/puzzleBot.js";
+
+test("count and rows x cols are both accepted", () => {
+  assert.deepEqual(parseGridInput("12", 4 / 3), { rows: 3, cols: 4, count: 12 });
+  for (const text of ["5x8", "5 Х 8", "5×8", "5*8", "5 на 8", " 5X8 "]) {
+    assert.deepEqual(parseGridInput(text, 1), { rows: 5, cols: 8, count: 40 }, text);
+  }
+});
+
+test("text that is not a count or a grid is a format error", () => {
+  for (const text of ["", "abc", "5x", "x8", "-4", "1.5", "12 деталей", "1000x1000", null, undefined]) {
+    assert.deepEqual(parseGridInput(text, 1), { error: "format" }, String(text));
+  }
+});
+
+test("counts and grids outside the allowed range are range errors", () => {
+  for (const text of ["0", "1", "9999", "0x5", "5x0", "1x1", "99x99"]) {
+    assert.deepEqual(parseGridInput(text, 1), { error: "range" }, text);
+  }
+});
+
+test("picked grid follows the photo aspect", () => {
+  assert.deepEqual(pickGrid(12, 1.5), { rows: 3, cols: 4, count: 12 });
+  assert.deepEqual(pickGrid(12, 0.75), { rows: 4, cols: 3, count: 12 });
+});
+
+test("picked grid falls back to square pieces for a bad aspect", () => {
+  for (const aspect of [NaN, 0, -1, undefined]) {
+    assert.deepEqual(pickGrid(16, aspect), { rows: 4, cols: 4, count: 16 }, String(aspect));
+  }
+});
+
+test("a count with no good grid gets the nearest one", () => {
+  assert.deepEqual(pickGrid(13, 1.5), { rows: 3, cols: 4, count: 12 });
+  assert.equal(pickGrid(1, 1), null);
+});
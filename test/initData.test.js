@@ -0,0 +1,61 @@
+﻿import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+// The token is read when the module loads, so it is set before the import.
+const BOT_TOKEN = "123456:test-token";
+process.env.BOT_TOKEN = BOT_TOKEN;
+const { validateInitData } = await import("../src/puzzleBot.js");
+
+const USER = { id: 42, first_name: "Тест" };
+
+function sign(fields, token = BOT_TOKEN) {
+  const params = new URLSearchParams(fields);
+  const dataCheckString = [...params]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("\n");
+  const secret = crypto.createHmac("sha256", "WebAppData").update(token).digest();
+  params.set("hash", crypto.createHmac("sha256", secret).update(dataCheckString).digest("hex"));
+  return params.toString();
+}
+
+function fields(authDate = Math.floor(Date.now() / 1000)) {
+  return { auth_date: String(authDate), query_id: "AAH", user: JSON.stringify(USER) };
+}
+
+test("signed fresh initData gives the user", () => {
+  assert.deepEqual(validateInitData(sign(fields())), USER);
+});
+
+test("initData older than a day is rejected", () => {
+  const dayAgo = Math.floor(Date.now() / 1000) - 24 * 60 * 60 - 60;
+  assert.equal(validateInitData(sign(fields(dayAgo))), null);
+});
+
+test("changed fields or a foreign token break the hash", () => {
+  const tampered = new URLSearchParams(sign(fields()));
+  tampered.set("user", JSON.stringify({ ...USER, id: 43 }));
+  assert.equal(validateInitData(tampered.toString()), null);
+  assert.equal(validateInitData(sign(fields(), "654321:other-token")), null);
+});
+
+test("missing or malformed hash is rejected without throwing", () => {
+  const params = new URLSearchParams(sign(fields()));
+  const hash = params.get("hash");
+  for (const bad of [null, "", hash.slice(0, 10), hash.toUpperCase(), `${hash}00`, "z".repeat(64)]) {
+    const copy = new URLSearchParams(params);
+    if (bad === null) copy.delete("hash");
+    else copy.set("hash", bad);
+    assert.equal(validateInitData(copy.toString()), null, String(bad));
+  }
+  assert.equal(validateInitData(undefined), null);
+  assert.equal(validateInitData(""), null);
+});
+
+test("signed initData without a user is rejected", () => {
+  const rest = fields();
+  delete rest.user;
+  assert.equal(validateInitData(sign(rest)), null);
+  assert.equal(validateInitData(sign({ ...rest, user: "{oops" })), null);
+});
@@ -0,0 +1,29 @@
+﻿import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPuzzleData } from "../src/puzzleBot.js";
+
+const CASES = [
+  { width: 1200, height: 800, rows: 4, cols: 6, seed: 12345 },
+  { width: 900, height: 900, rows: 5, cols: 5, seed: 42 },
+  { width: 1600, height: 1000, rows: 8, cols: 12, seed: 7 }
+];
+
+for (const { width, height, rows, cols, seed } of CASES) {
+  const name = `${rows}x${cols}, seed ${seed}`;
+
+  test(`${name}: no tab collisions or thin necks`, () => {
+    const { quality } = buildPuzzleData(width, height, rows, cols, seed);
+    assert.equal(quality.issues, 0);
+    assert.ok(quality.minNeckWidth >= quality.neckThreshold, `neck ${quality.minNeckWidth} < ${quality.neckThreshold}`);
+    assert.ok(
+      quality.minClearance >= quality.clearanceThreshold,
+      `clearance ${quality.minClearance} < ${quality.clearanceThreshold}`
+    );
+  });
+
+  test(`${name}: same seed gives the same puzzle`, () => {
+    const first = buildPuzzleData(width, height, rows, cols, seed);
+    const second = buildPuzzleData(width, height, rows, cols, seed);
+    assert.deepEqual(second, first);
+  });
+}
@@ -0,0 +1,63 @@
+﻿import { test } from "node:test";
+import assert from "node:assert/strict";
+import { balanceLines, wrapTextByWidth } from "../src/puzzleBot.js";
+
+const LONG_WORD = "Пневмоноультрамикроскопическийсиликовулканокониоз";
+
+// Width in characters, so the balancing is checked apart from font metrics.
+function charPieces(...texts) {
+  const pieces = texts.map((text) => ({ text, hyphen: text.endsWith("~") }));
+  pieces.forEach((piece) => (piece.text = piece.text.replace(/~$/, "")));
+  const measure = (start, end) =>
+    pieces
+      .slice(start, end)
+      .map((piece) => piece.text)
+      .join("")
+      .trimEnd().length + (pieces[end - 1].hyphen ? 1 : 0);
+  return { pieces, measure };
+}
+
+test("a word wider than the line is reported whole, not cut", () => {
+  for (const wrap of ["greedy", "balanced"]) {
+    const result = wrapTextByWidth(`Это ${LONG_WORD} слово`, 100, 16, { wrap });
+    assert.equal(result.truncated, true, wrap);
+    assert.equal(result.reason, "word_too_long", wrap);
+    assert.deepEqual(result.lines, ["Это", LONG_WORD], wrap);
+  }
+});
+
+test("hyphenation breaks a long word at dictionary points", () => {
+  const result = wrapTextByWidth(LONG_WORD, 100, 16, { hyphenate: true });
+  assert.equal(result.truncated, false);
+  assert.ok(result.lines.length > 1);
+  result.lines.slice(0, -1).forEach((line) => assert.match(line, /-$/));
+  assert.equal(result.lines.join("").replace(/-/g, ""), LONG_WORD);
+});
+
+test("a word with no hyphenation points stays unbreakable", () => {
+  const word = "a".repeat(40);
+  const result = wrapTextByWidth(word, 100, 16, { hyphenate: true });
+  assert.equal(result.reason, "word_too_long");
+  assert.deepEqual(result.lines, [word]);
+});
+
+test("blank text gives one empty line", () => {
+  assert.deepEqual(wrapTextByWidth(" \n\t ", 100, 16), { lines: [""], truncated: false });
+});
+
+test("balanced lines even out the free space", () => {
+  const { pieces, measure } = charPieces("aaa ", "bb ", "c ", "dddd");
+  assert.deepEqual(balanceLines(pieces, 2, 8, measure), ["aaa bb", "c dddd"]);
+});
+
+test("balanced lines prefer a space to a hyphen", () => {
+  const { pieces, measure } = charPieces("abcd ", "ef~", "gh");
+  assert.deepEqual(balanceLines(pieces, 2, 10, measure), ["abcd", "efgh"]);
+});
+
+test("balancing gives up when the pieces do not fit the lines", () => {
+  const { pieces, measure } = charPieces("aa ", "bbbbbbbbbb ", "cc");
+  assert.equal(balanceLines(pieces, 3, 5, measure), null);
+  const short = charPieces("aa ", "bb ", "cc");
+  assert.equal(balanceLines(short.pieces, 1, 5, short.measure), null);
+});